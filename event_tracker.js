@@ -1,23 +1,314 @@
 (function() {
     'use strict';
     
+    const Transport = window.EventTrackerModules.transport;
+    const Privacy = window.EventTrackerModules.privacy;
+    const Session = window.EventTrackerModules.session;
+    const Schema = window.EventTrackerModules.schema;
+    const Storage = window.EventTrackerModules.storage;
+    const Overlay = window.EventTrackerModules.overlay;
+    const Heatmap = window.EventTrackerModules.heatmap;
+    const Replay = window.EventTrackerModules.replay;
+    const PerformanceMetrics = window.EventTrackerModules.performance;
+    const ErrorCapture = window.EventTrackerModules.errors;
+    const Plugins = window.EventTrackerModules.plugins;
+    const Semantics = window.EventTrackerModules.semantics;
+    const ScrollSignal = window.EventTrackerModules.scroll.getScrollSignal();
+    
+    // The <script> tag that loaded the tracker; its data-* attributes configure auto-start
+    const trackerScript = document.currentScript;
+    
+    // Time on page and engaged (visible) time, measured from page load whether or not tracking runs
+    let engagement = PerformanceMetrics.createEngagementTimer();
+    
+    /**
+     * Default configuration
+     * trackers       - which trackers run (page view is recorded once per start;
+     *                  replay, the session recorder in tracker/replay.js, is off unless enabled;
+     *                  performance reports Web Vitals, resource timings and long tasks, see tracker/performance.js;
+     *                  errors reports uncaught errors and failed loads, see tracker/errors.js)
+     * inputDebounce  - quiet period (ms) before an input change is recorded
+     * scrollThrottle - quiet period (ms) before a scroll position is recorded
+     * mouseThrottle  - quiet period (ms) before a mouse position is recorded
+     * mouseDistance  - minimum movement (px) for a new mouse position
+     * replayChunkInterval - how often (ms) the session recorder sends a REPLAY chunk
+     * console        - log events with the styled console sink
+     * endpoint       - collector URL; enables the HTTP sink when set
+     * batchSize, flushInterval - HTTP sink batching (see tracker/transport.js)
+     * persistQueue    - keep unsent events in IndexedDB and replay them later (see tracker/storage.js)
+     * persistMaxEvents, persistMaxAge - caps on the stored queue (count, ms)
+     * requireConsent  - record nothing until the visitor grants consent
+     * honorDoNotTrack - treat Do Not Track / Global Privacy Control as a refusal
+     * consentBanner   - show the built-in consent bar while no choice is stored
+     * redactionRules  - [{ name, pattern, replacement }] applied to every event (see tracker/privacy.js)
+     * sessionTimeout  - inactivity (ms) after which a new session starts
+     * validation      - what happens to events that don't match tracker/schema.js:
+     *                   'reject' drops them, 'flag' sends them with validationErrors, 'off' skips the check
+     * debugOverlay    - enable the debug overlay (Alt+Shift+T or ?tracker-debug, see tracker/overlay.js)
+     * heatmap         - aggregate clicks and scroll depth for the heatmap (see tracker/heatmap.js)
+     */
+    const DEFAULT_OPTIONS = {
+        trackers: {
+            pageView: true,
+            click: true,
+            materials: true,
+            form: true,
+            input: true,
+            scroll: true,
+            mouse: true,
+            keyboard: true,
+            visibility: true,
+            navigation: true,
+            performance: true,
+            errors: true,
+            replay: false
+        },
+        inputDebounce: 500,
+        scrollThrottle: 200,
+        mouseThrottle: 1000,
+        mouseDistance: 100,
+        replayChunkInterval: 10000,
+        console: true,
+        endpoint: null,
+        batchSize: 20,
+        flushInterval: 5000,
+        persistQueue: true,
+        persistMaxEvents: 1000,
+        persistMaxAge: 7 * 24 * 60 * 60 * 1000,
+        requireConsent: true,
+        honorDoNotTrack: true,
+        consentBanner: true,
+        redactionRules: Privacy.DEFAULT_RULES,
+        sessionTimeout: 30 * 60 * 1000,
+        validation: 'reject',
+        debugOverlay: true,
+        heatmap: true
+    };
+    
+    // Listener-based trackers, keyed by their name in options.trackers
+    const TRACKERS = {
+        click: setupClickTracking,
+        materials: setupMaterialTracking,
+        form: setupFormTracking,
+        input: setupInputTracking,
+        scroll: setupScrollTracking,
+        mouse: setupMouseTracking,
+        keyboard: setupKeyboardTracking,
+        visibility: setupVisibilityTracking,
+        navigation: setupNavigationTracking,
+        performance: setupPerformanceTracking,
+        errors: setupErrorTracking,
+        replay: setupReplayTracking
+    };
+    
+    let settings = mergeOptions(DEFAULT_OPTIONS, readScriptOptions());
+    let running = false;
+    let pendingStart = false;
+    
+    // Every tracked event is handed to each sink; built-in sinks are rebuilt on start
+    let sinks = [];
+    let customSinks = [];
+    
+    // IndexedDB queue shared by every HTTP sink this page creates
+    let eventStore = null;
+    
+    // HTTP sink; kept across restarts, since a second sink on the same store would replay this one's queue
+    let httpSink = null;
+    let httpSinkStore = null;
+    
+    // Debug overlay and heatmap; created once so their history survives restarts
+    let overlay = null;
+    let heatmap = null;
+    
+    // Functions that undo whatever the active trackers attached (listeners, timers)
+    let teardowns = [];
+    
+    // Consent state and redaction, rebuilt whenever the options change
+    let consent = null;
+    let redactor = null;
+    let consentBanner = null;
+    let pageViewPending = false;
+    
+    // Visitor, session and page view identity; lives from start() to stop()
+    let session = null;
+    
+    // Session replay recorder while the replay tracker is attached
+    let recorder = null;
+    
+    // Web Vitals monitor; created once so metrics already reported aren't repeated after a restart
+    let performanceMonitor = null;
+    
+    // Plugins registered with EventTracker.use(); kept across restarts, dropped by destroy()
+    const plugins = Plugins.createPluginRegistry({
+        track: trackCustom,
+        getOptions: function() {
+            return mergeOptions(settings, {});
+        },
+        helpers: {
+            describeElement: function(element, options) {
+                return describeElement(element, options || {});
+            },
+            getCSSSelector: getCSSSelector,
+            getXPath: getXPath,
+            getRelevantStyles: getRelevantStyles,
+            getElementPolicy: Privacy.getElementPolicy
+        }
+    });
+    
+    // Error capture listens from now on, so errors in scripts that run before tracking starts are kept
+    let errorMonitor = createErrorMonitor();
+    
+    // Set by destroy(), which removes even the listeners above; the next start() adds them again
+    let destroyed = false;
+    
     /**
      * Initialize tracking on page load
-     * This ensures the DOM is fully loaded before attaching event listeners
+     * Auto-start can be turned off with <script src="event_tracker.js" data-autostart="false">,
+     * in which case the page calls EventTracker.init(options) itself
+     */
+    if (!trackerScript || trackerScript.dataset.autostart !== 'false') {
+        start();
+    }
+    
+    /**
+     * Reads options from the tracker's <script> tag
+     * Supports data-endpoint, data-batch-size and data-flush-interval
+     * @returns {Object} - Partial options object
+     */
+    function readScriptOptions() {
+        const dataset = trackerScript ? trackerScript.dataset : {};
+        const options = {};
+        
+        if (dataset.endpoint) options.endpoint = dataset.endpoint;
+        if (dataset.batchSize) options.batchSize = parseInt(dataset.batchSize, 10);
+        if (dataset.flushInterval) options.flushInterval = parseInt(dataset.flushInterval, 10);
+        
+        return options;
+    }
+    
+    /**
+     * Merges user options over a base configuration
+     * The trackers map is merged key by key so { trackers: { mouse: false } } keeps the rest on
+     * @param {Object} base - Current configuration
+     * @param {Object} options - Options to apply
+     * @returns {Object} - New configuration object
+     */
+    function mergeOptions(base, options) {
+        const merged = Object.assign({}, base, options);
+        merged.trackers = Object.assign({}, base.trackers, options && options.trackers);
+        
+        Object.keys(merged.trackers).forEach(function(name) {
+            if (name !== 'pageView' && !TRACKERS[name]) {
+                console.warn('[EventTracker] Unknown tracker "' + name + '" ignored');
+                delete merged.trackers[name];
+            }
+        });
+        
+        return merged;
+    }
+    
+    /**
+     * Starts tracking with the current configuration
+     * Waits for DOMContentLoaded if the document is still loading
      */
-    if (document.readyState === 'loading') {
-        // DOM is still loading, wait for it to be ready
-        document.addEventListener('DOMContentLoaded', initializeTracker);
-    } else {
-        // DOM is already loaded, initialize immediately
-        initializeTracker();
+    function start() {
+        if (running) return;
+        
+        if (destroyed) {
+            destroyed = false;
+            engagement = PerformanceMetrics.createEngagementTimer();
+            errorMonitor = createErrorMonitor();
+        }
+        
+        if (document.readyState === 'loading') {
+            // DOM is still loading, wait for it to be ready
+            if (!pendingStart) {
+                pendingStart = true;
+                document.addEventListener('DOMContentLoaded', onDomReady);
+            }
+            return;
+        }
+        
+        running = true;
+        
+        if (settings.console) {
+            logBanner();
+        }
+        
+        // Set up consent handling and redaction
+        setupPrivacy();
+        
+        // Set up visitor and session identity
+        session = Session.createSessionManager({
+            timeout: settings.sessionTimeout,
+            onExpire: deliverIfAllowed
+        });
+        
+        // Set up the sinks tracked events are delivered to
+        setupSinks();
+        
+        // Attach the enabled trackers
+        attachTrackers();
+        
+        if (settings.debugOverlay && Overlay.isRequestedByUrl()) {
+            getOverlay().open();
+        }
+        
+        // Track initial page view, or hold it back until consent is granted
+        if (settings.trackers.pageView) {
+            pageViewPending = true;
+            trackPendingPageView();
+        }
+    }
+    
+    /**
+     * Records the page view held back while consent was pending
+     */
+    function trackPendingPageView() {
+        if (pageViewPending && consent.isGranted()) {
+            pageViewPending = false;
+            trackPageView();
+        }
     }
     
     /**
-     * Main initialization function
-     * Sets up all event listeners and tracking mechanisms
+     * Runs a start that was deferred until the DOM was ready
      */
-    function initializeTracker() {
+    function onDomReady() {
+        document.removeEventListener('DOMContentLoaded', onDomReady);
+        
+        if (pendingStart) {
+            pendingStart = false;
+            start();
+        }
+    }
+    
+    /**
+     * Stops tracking
+     * Removes every listener and timer and flushes queued events; configuration is kept
+     */
+    function stop() {
+        if (pendingStart) {
+            pendingStart = false;
+            document.removeEventListener('DOMContentLoaded', onDomReady);
+        }
+        
+        if (!running) return;
+        
+        detachTrackers();
+        flushSinks({});
+        removeConsentBanner();
+        if (overlay) overlay.close();
+        session.dispose();
+        session = null;
+        pageViewPending = false;
+        running = false;
+    }
+    
+    /**
+     * Logs the start-up banner
+     */
+    function logBanner() {
         console.log('%c========================================', 'color: #667eea; font-weight: bold;');
         console.log('%c🎯 UNIVERSAL EVENT TRACKER INITIALIZED', 'color: #667eea; font-weight: bold; font-size: 16px;');
         console.log('%c========================================', 'color: #667eea; font-weight: bold;');
@@ -27,47 +318,338 @@
         console.log('🖥️  Screen Resolution:', `${screen.width}x${screen.height}`);
         console.log('📏 Viewport Size:', `${window.innerWidth}x${window.innerHeight}`);
         console.log('');
+    }
+    
+    /**
+     * Runs the setup function of every enabled tracker
+     */
+    function attachTrackers() {
+        Object.keys(TRACKERS).forEach(function(name) {
+            if (settings.trackers[name]) {
+                TRACKERS[name]();
+            }
+        });
         
-        // Track initial page view
-        trackPageView();
+        // Plugin event sources run after the built-in trackers, in plugin order
+        plugins.attachSources();
+    }
+    
+    /**
+     * Removes everything the trackers attached
+     */
+    function detachTrackers() {
+        teardowns.forEach(function(teardown) {
+            teardown();
+        });
+        teardowns = [];
+        plugins.detachSources();
+    }
+    
+    /**
+     * Adds an event listener that is removed again when tracking stops
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     * @param {boolean} capture - Use the capture phase
+     */
+    function listen(target, type, handler, capture) {
+        target.addEventListener(type, handler, capture);
+        teardowns.push(function() {
+            target.removeEventListener(type, handler, capture);
+        });
+    }
+    
+    /**
+     * Creates the consent manager and redactor for the current options
+     * Shows the consent banner while tracking and the visitor hasn't chosen yet
+     */
+    function setupPrivacy() {
+        consent = Privacy.createConsentManager({
+            requireConsent: settings.requireConsent,
+            honorDoNotTrack: settings.honorDoNotTrack
+        });
+        redactor = Privacy.createRedactor(settings.redactionRules);
+        
+        consent.onChange(function(status) {
+            removeConsentBanner();
+            
+            if (status === 'granted') {
+                trackPendingPageView();
+                if (recorder) recorder.start();
+                if (running && settings.trackers.performance) getPerformanceMonitor().start();
+                if (running && settings.trackers.errors) errorMonitor.retry();
+            } else {
+                // Events queued before the revocation must not leave the browser either,
+                // and the visitor and session ids are forgotten
+                if (recorder) recorder.stop(true);
+                if (performanceMonitor) performanceMonitor.stop(true);
+                clearSinks();
+                if (session) session.reset();
+            }
+        });
+        
+        removeConsentBanner();
+        if (running && settings.consentBanner && !consent.isDecided()) {
+            consentBanner = Privacy.showConsentBanner(consent);
+        }
+    }
+    
+    /**
+     * Returns the consent manager, creating one if tracking hasn't started yet
+     * so a choice made before start() is still stored
+     * @returns {Object} - Consent manager
+     */
+    function getConsent() {
+        if (!consent) {
+            setupPrivacy();
+        }
+        return consent;
+    }
+    
+    /**
+     * Removes the consent banner if it is showing
+     */
+    function removeConsentBanner() {
+        if (consentBanner) {
+            consentBanner.remove();
+            consentBanner = null;
+        }
+    }
+    
+    /**
+     * Registers the built-in sinks
+     * The console sink is on unless options.console is false; the HTTP sink is
+     * added when options.endpoint names a collector, and flushed whenever the
+     * browser comes back online; the debug overlay sink records everything
+     * while options.debugOverlay is on
+     */
+    function setupSinks() {
+        // Remembers the latest events as breadcrumbs for error reports
+        sinks = [errorMonitor.sink];
+        
+        if (settings.debugOverlay) {
+            sinks.push(getOverlay().sink);
+            
+            // Capture phase on window, so the shortcut is swallowed before the keyboard tracker sees it
+            listen(window, 'keydown', getOverlay().handleKeydown, true);
+        } else if (overlay) {
+            overlay.close();
+        }
         
-        // Set up click event tracking for all elements
-        setupClickTracking();
+        if (settings.heatmap) {
+            sinks.push(getHeatmap().sink);
+        }
         
-        // Set up form submission tracking
-        setupFormTracking();
+        if (settings.console) {
+            sinks.push(Transport.createConsoleSink());
+        }
         
-        // Set up input field tracking
-        setupInputTracking();
+        if (settings.endpoint) {
+            sinks.push(getHttpSink());
+            
+            // Send what piled up while the connection was down
+            listen(window, 'online', function() {
+                flushSinks({});
+            });
+        }
+    }
+    
+    /**
+     * Returns the HTTP sink for the current options
+     * The sink is reconfigured rather than replaced, so events it has queued or
+     * in flight are sent once; only a change of store (persistQueue turned on or
+     * off) creates a new one, and the two never share stored events
+     * @returns {Object} - HTTP sink (see tracker/transport.js)
+     */
+    function getHttpSink() {
+        const store = getEventStore();
+        const options = {
+            endpoint: settings.endpoint,
+            batchSize: settings.batchSize,
+            flushInterval: settings.flushInterval
+        };
+        
+        if (httpSink && httpSinkStore === store) {
+            httpSink.configure(options);
+        } else {
+            httpSink = Transport.createHttpSink(Object.assign({ store: store }, options));
+            httpSinkStore = store;
+        }
+        return httpSink;
+    }
+    
+    /**
+     * Returns the offline event store, or null when persistence is off or unsupported
+     * @returns {Object|null} - Event store
+     */
+    function getEventStore() {
+        if (!settings.persistQueue || !Storage.isSupported()) {
+            return null;
+        }
+        if (!eventStore) {
+            eventStore = Storage.createEventStore({
+                maxEvents: settings.persistMaxEvents,
+                maxAge: settings.persistMaxAge
+            });
+        }
+        return eventStore;
+    }
+    
+    /**
+     * Returns the debug overlay, creating it on first use
+     * @returns {Object} - Overlay (see tracker/overlay.js)
+     */
+    function getOverlay() {
+        if (!overlay) {
+            overlay = Overlay.createOverlay({
+                getStatus: function() {
+                    return (running ? 'Running' : 'Stopped') + ' · consent ' + getConsent().getStatus();
+                }
+            });
+        }
+        return overlay;
+    }
+    
+    /**
+     * Returns the heatmap aggregator, creating it on first use
+     * @returns {Object} - Heatmap (see tracker/heatmap.js)
+     */
+    function getHeatmap() {
+        if (!heatmap) {
+            heatmap = Heatmap.createHeatmap();
+        }
+        return heatmap;
+    }
+    
+    /**
+     * Delivers a tracked event to every sink
+     * Events are dropped while the tracker is stopped or consent isn't granted,
+     * stamped with visitor/session/page view ids and a sequence number, and
+     * redacted before any sink sees them; a failing sink is reported but
+     * never stops the others
+     * @param {Object} eventData - The tracked event
+     */
+    function track(eventData) {
+        if (!running || !consent.isGranted()) return;
+        
+        // Stamping may also yield SESSION_END/SESSION_START events, which go out first
+        session.record(eventData).forEach(deliver);
+    }
+    
+    /**
+     * Validates and tracks an application-defined event
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Plain, JSON-serializable object (optional)
+     * @returns {Object} - { valid, errors }; invalid input is never recorded
+     */
+    function trackCustom(eventName, eventData) {
+        const result = Schema.validateCustomInput(eventName, eventData);
+        
+        if (!result.valid) {
+            console.warn('[EventTracker] Custom event rejected:', result.errors);
+            return result;
+        }
+        
+        track(Schema.createEvent('CUSTOM_EVENT', {
+            name: eventName,
+            data: eventData === undefined ? {} : JSON.parse(JSON.stringify(eventData))
+        }));
+        return result;
+    }
+    
+    /**
+     * Delivers an event produced outside track(), such as a session timing out
+     * @param {Object} eventData - The stamped event
+     */
+    function deliverIfAllowed(eventData) {
+        if (running && consent.isGranted()) {
+            deliver(eventData);
+        }
+    }
+    
+    /**
+     * Runs a stamped event through plugin middleware, redacts and validates it
+     * and hands it to every sink
+     * @param {Object} eventData - The stamped event
+     */
+    function deliver(eventData) {
+        const processed = plugins.applyMiddleware(eventData);
+        if (!processed) return;
         
-        // Set up scroll tracking
-        setupScrollTracking();
+        const redacted = redactor.redact(processed);
         
-        // Set up mouse movement tracking (throttled)
-        setupMouseTracking();
+        if (settings.validation !== 'off') {
+            const result = Schema.validate(redacted);
+            
+            if (!result.valid) {
+                console.warn('[EventTracker] Invalid ' + redacted.event + ' event' + (settings.validation === 'reject' ? ' dropped:' : ':'), result.errors);
+                if (settings.validation === 'reject') return;
+                redacted.validationErrors = result.errors;
+            }
+        }
         
-        // Set up keyboard event tracking
-        setupKeyboardTracking();
+        getAllSinks().forEach(function(sink) {
+            try {
+                sink.send(redacted);
+            } catch (error) {
+                console.warn('[EventTracker] Sink "' + sink.name + '" failed:', error);
+            }
+        });
+    }
+    
+    /**
+     * Built-in, custom and plugin sinks, in the order events reach them
+     * @returns {Array} - Sinks
+     */
+    function getAllSinks() {
+        return sinks.concat(customSinks, plugins.getSinks());
+    }
+    
+    /**
+     * Flushes every sink that buffers events
+     * @param {Object} options - { beacon: true } when the page may be going away
+     */
+    function flushSinks(options) {
+        // Whatever the recorder holds, the current LCP/CLS/INP and repeat counts of errors go out with this flush
+        if (recorder) recorder.flush();
+        if (performanceMonitor) performanceMonitor.flush();
+        errorMonitor.flush();
         
-        // Set up visibility change tracking (tab switching)
-        setupVisibilityTracking();
+        getAllSinks().forEach(function(sink) {
+            try {
+                sink.flush(options);
+            } catch (error) {
+                console.warn('[EventTracker] Flushing sink "' + sink.name + '" failed:', error);
+            }
+        });
+    }
+    
+    /**
+     * Discards queued events in every sink that buffers them
+     */
+    function clearSinks() {
+        getAllSinks().forEach(function(sink) {
+            if (typeof sink.clear === 'function') {
+                sink.clear();
+            }
+        });
         
-        // Set up navigation tracking
-        setupNavigationTracking();
+        // Still sending what it queued before the endpoint was removed
+        if (httpSink && sinks.indexOf(httpSink) === -1) {
+            httpSink.clear();
+        }
     }
     
     /**
      * Tracks page view event
-     * Logs comprehensive page information to console
+     * Records comprehensive page information
      */
     function trackPageView() {
-        const pageViewData = {
-            event: 'PAGE_VIEW',
-            timestamp: new Date().toISOString(),
+        track(Schema.createEvent('PAGE_VIEW', {
             url: window.location.href,
             path: window.location.pathname,
             title: document.title,
-            referrer: document.referrer || 'Direct',
+            referrer: document.referrer || null,
             viewport: {
                 width: window.innerWidth,
                 height: window.innerHeight
@@ -76,12 +658,7 @@
                 width: screen.width,
                 height: screen.height
             }
-        };
-        
-        // Log page view to console with styling
-        console.log('%c📄 PAGE VIEW', 'background: #4CAF50; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-        console.table(pageViewData);
-        console.log('');
+        }));
     }
     
     /**
@@ -90,86 +667,89 @@
      */
     function setupClickTracking() {
         // Use capture phase to catch events before they bubble
-        document.addEventListener('click', function(event) {
+        listen(document, 'click', function(event) {
             const element = event.target;
+            const policy = Privacy.getElementPolicy(element);
+            
+            // Elements marked data-track-ignore are never recorded
+            if (policy === 'ignore') return;
             
             // Gather detailed information about the clicked element
-            const clickData = {
-                event: 'CLICK',
-                timestamp: new Date().toISOString(),
-                element: {
-                    tagName: element.tagName,
-                    id: element.id || 'N/A',
-                    className: element.className || 'N/A',
-                    textContent: element.textContent ? element.textContent.substring(0, 50) + '...' : 'N/A',
-                    value: element.value || 'N/A',
-                    type: element.type || 'N/A',
-                    name: element.name || 'N/A'
-                },
+            track(Schema.createEvent('CLICK', {
+                target: describeElement(element, { masked: policy === 'mask', withText: true, withPath: true }),
                 position: {
-                    x: event.clientX,
-                    y: event.clientY,
+                    clientX: event.clientX,
+                    clientY: event.clientY,
                     pageX: event.pageX,
                     pageY: event.pageY
                 },
-                cssSelector: getCSSSelector(element),
-                computedStyles: getRelevantStyles(element),
-                xpath: getXPath(element)
-            };
-            
-            // Log click event with visual styling
-            console.log('%c👆 CLICK EVENT', 'background: #2196F3; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-            console.log('Element:', element);
-            console.table(clickData.element);
-            console.log('Position:', clickData.position);
-            console.log('CSS Selector:', clickData.cssSelector);
-            console.log('XPath:', clickData.xpath);
-            console.log('Computed Styles:', clickData.computedStyles);
-            console.log('Full Data:', clickData);
-            console.log('');
+                computedStyles: getRelevantStyles(element)
+            }));
         }, true); // Use capture phase
     }
     
+    /**
+     * Sets up material_open events for links to course material
+     * Covers outbound links in the lecture, lab and exam tables, opened with a
+     * click, the keyboard or the middle mouse button
+     */
+    function setupMaterialTracking() {
+        function onOpen(event) {
+            const link = event.target.closest ? event.target.closest('a[href]') : null;
+            const policy = link ? Privacy.getElementPolicy(link) : 'ignore';
+            if (policy === 'ignore') return;
+            
+            const material = Semantics.getMaterialLink(link);
+            if (material) {
+                if (policy === 'mask' && material.label) material.label = Privacy.MASK;
+                trackCustom('material_open', material);
+            }
+        }
+        
+        listen(document, 'click', onOpen, true);
+        listen(document, 'auxclick', function(event) {
+            if (event.button === 1) onOpen(event);
+        }, true);
+    }
+    
     /**
      * Sets up form submission tracking
      * Captures form data before submission
      */
     function setupFormTracking() {
-        document.addEventListener('submit', function(event) {
+        listen(document, 'submit', function(event) {
             const form = event.target;
             
+            if (Privacy.getElementPolicy(form) === 'ignore') return;
+            
             // Extract form data
             const formData = new FormData(form);
             const formValues = {};
             
             // Convert FormData to object (excluding sensitive fields)
             for (let [key, value] of formData.entries()) {
-                // Mask password fields for security
-                if (key.toLowerCase().includes('password')) {
-                    formValues[key] = '***MASKED***';
+                const field = form.elements[key];
+                const policy = field && field.nodeType === Node.ELEMENT_NODE ? Privacy.getElementPolicy(field) : 'record';
+                
+                if (policy === 'ignore') continue;
+                
+                // Mask password and data-track-mask fields for security; files are recorded by name only
+                if (policy === 'mask' || key.toLowerCase().includes('password')) {
+                    formValues[key] = Privacy.MASK;
                 } else {
-                    formValues[key] = value;
+                    formValues[key] = typeof value === 'string' ? value : value.name;
                 }
             }
             
-            const submitData = {
-                event: 'FORM_SUBMIT',
-                timestamp: new Date().toISOString(),
+            track(Schema.createEvent('FORM_SUBMIT', {
                 form: {
-                    id: form.id || 'N/A',
-                    name: form.name || 'N/A',
-                    action: form.action || 'N/A',
-                    method: form.method || 'GET'
+                    id: form.id || null,
+                    name: form.getAttribute('name'),
+                    action: form.getAttribute('action') ? form.action : null,
+                    method: (form.method || 'GET').toUpperCase()
                 },
                 fields: formValues
-            };
-            
-            // Log form submission
-            console.log('%c📝 FORM SUBMIT', 'background: #FF9800; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-            console.log('Form Element:', form);
-            console.table(submitData.form);
-            console.log('Form Data:', formValues);
-            console.log('');
+            }));
         }, true);
     }
     
@@ -180,69 +760,59 @@
     function setupInputTracking() {
         // Track input changes (debounced to avoid excessive logging)
         let inputTimeout;
+        teardowns.push(function() {
+            clearTimeout(inputTimeout);
+        });
         
-        document.addEventListener('input', function(event) {
+        listen(document, 'input', function(event) {
             clearTimeout(inputTimeout);
             
             inputTimeout = setTimeout(function() {
                 const element = event.target;
                 
-                // Only track form elements
-                if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
-                    const inputData = {
-                        event: 'INPUT_CHANGE',
-                        timestamp: new Date().toISOString(),
-                        element: {
-                            tagName: element.tagName,
-                            type: element.type || 'N/A',
-                            id: element.id || 'N/A',
-                            name: element.name || 'N/A',
-                            value: element.type === 'password' ? '***MASKED***' : element.value
-                        }
-                    };
-                    
-                    console.log('%c⌨️  INPUT CHANGE', 'background: #9C27B0; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-                    console.table(inputData.element);
-                    console.log('');
+                const policy = Privacy.getElementPolicy(element);
+                
+                // Only track form elements that aren't marked data-track-ignore
+                if ((element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') && policy !== 'ignore') {
+                    track(Schema.createEvent('INPUT_CHANGE', {
+                        target: describeElement(element, { masked: policy === 'mask', withValue: true })
+                    }));
                 }
-            }, 500); // Debounce by 500ms
+            }, settings.inputDebounce); // Debounce, 500ms by default
         }, true);
     }
     
     /**
      * Sets up scroll tracking
-     * Tracks scroll position and percentage
+     * Tracks scroll position and percentage, read from the page's shared scroll signal
      */
     function setupScrollTracking() {
         let scrollTimeout;
-        let lastScrollPosition = 0;
-        
-        window.addEventListener('scroll', function() {
+        let lastScrollPercentage = 0;
+        let lastScrollTop = ScrollSignal.getState().top;
+        teardowns.push(function() {
+            clearTimeout(scrollTimeout);
+        });
+        teardowns.push(ScrollSignal.subscribe(function(state) {
+            // The page also re-measures when its content changes size; only movement is a scroll
+            if (state.top === lastScrollTop) return;
+            lastScrollTop = state.top;
             clearTimeout(scrollTimeout);
             
             scrollTimeout = setTimeout(function() {
-                const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-                const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
-                const scrollPercentage = Math.round((scrollTop / scrollHeight) * 100);
-                
                 // Only log if scroll changed significantly (more than 10%)
-                if (Math.abs(scrollPercentage - lastScrollPosition) > 10) {
-                    lastScrollPosition = scrollPercentage;
-                    
-                    const scrollData = {
-                        event: 'SCROLL',
-                        timestamp: new Date().toISOString(),
-                        position: scrollTop,
-                        percentage: scrollPercentage + '%',
-                        direction: scrollTop > lastScrollPosition ? 'down' : 'up'
-                    };
+                if (Math.abs(state.percentage - lastScrollPercentage) > 10) {
+                    const direction = state.percentage > lastScrollPercentage ? 'down' : 'up';
+                    lastScrollPercentage = state.percentage;
                     
-                    console.log('%c📜 SCROLL EVENT', 'background: #00BCD4; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-                    console.table(scrollData);
-                    console.log('');
+                    track(Schema.createEvent('SCROLL', {
+                        position: state.top,
+                        percentage: state.percentage,
+                        direction: direction
+                    }));
                 }
-            }, 200); // Throttle by 200ms
-        });
+            }, settings.scrollThrottle); // Throttle, 200ms by default
+        }));
     }
     
     /**
@@ -252,61 +822,55 @@
     function setupMouseTracking() {
         let mouseTimeout;
         let lastMousePosition = { x: 0, y: 0 };
+        teardowns.push(function() {
+            clearTimeout(mouseTimeout);
+        });
         
-        document.addEventListener('mousemove', function(event) {
+        listen(document, 'mousemove', function(event) {
             clearTimeout(mouseTimeout);
             
             mouseTimeout = setTimeout(function() {
-                // Only log if mouse moved significantly (more than 100px)
+                // Only log if mouse moved significantly (more than 100px by default)
                 const distance = Math.sqrt(
                     Math.pow(event.clientX - lastMousePosition.x, 2) + 
                     Math.pow(event.clientY - lastMousePosition.y, 2)
                 );
                 
-                if (distance > 100) {
+                if (distance > settings.mouseDistance && Privacy.getElementPolicy(event.target) !== 'ignore') {
                     lastMousePosition = { x: event.clientX, y: event.clientY };
                     
-                    const mouseData = {
-                        event: 'MOUSE_MOVE',
-                        timestamp: new Date().toISOString(),
+                    track(Schema.createEvent('MOUSE_MOVE', {
                         position: {
-                            x: event.clientX,
-                            y: event.clientY
+                            clientX: event.clientX,
+                            clientY: event.clientY
                         },
-                        elementUnderCursor: event.target.tagName
-                    };
-                    
-                    console.log('%c🖱️  MOUSE MOVE', 'background: #607D8B; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-                    console.table(mouseData);
-                    console.log('');
+                        target: describeElement(event.target, {})
+                    }));
                 }
-            }, 1000); // Heavy throttle - 1 second
+            }, settings.mouseThrottle); // Heavy throttle, 1 second by default
         });
     }
     
     /**
      * Sets up keyboard event tracking
-     * Tracks key presses (excluding passwords)
+     * Tracks key presses (excluding passwords and text typed into fields)
      */
     function setupKeyboardTracking() {
-        document.addEventListener('keydown', function(event) {
-            // Don't track if typing in password field
-            if (event.target.type === 'password') return;
+        listen(document, 'keydown', function(event) {
+            // Don't track keys typed into password, data-track-mask or data-track-ignore fields
+            if (Privacy.getElementPolicy(event.target) !== 'record') return;
+            // Nor the characters typed into any other field; Enter, Tab, arrows and shortcuts still count
+            if (Privacy.isEditable(event.target) && Privacy.isPrintableKey(event)) return;
             
-            const keyData = {
-                event: 'KEYPRESS',
-                timestamp: new Date().toISOString(),
+            track(Schema.createEvent('KEYPRESS', {
                 key: event.key,
                 code: event.code,
                 ctrlKey: event.ctrlKey,
                 shiftKey: event.shiftKey,
                 altKey: event.altKey,
-                targetElement: event.target.tagName
-            };
-            
-            console.log('%c⌨️  KEYPRESS', 'background: #795548; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-            console.table(keyData);
-            console.log('');
+                metaKey: event.metaKey,
+                target: describeElement(event.target, {})
+            }));
         });
     }
     
@@ -315,38 +879,158 @@
      * Tracks when user switches tabs or minimizes browser
      */
     function setupVisibilityTracking() {
-        document.addEventListener('visibilitychange', function() {
-            const visibilityData = {
-                event: 'VISIBILITY_CHANGE',
-                timestamp: new Date().toISOString(),
-                state: document.hidden ? 'hidden' : 'visible'
-            };
+        listen(document, 'visibilitychange', function() {
+            track(Schema.createEvent('VISIBILITY_CHANGE', {
+                state: document.hidden ? 'hidden' : 'visible',
+                engagedTime: engagement.getEngagedTime() // seconds, hidden periods excluded
+            }));
             
-            console.log('%c👁️  VISIBILITY CHANGE', 'background: #E91E63; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-            console.table(visibilityData);
-            console.log('');
+            // The page may never become visible again (mobile tab switch), so hand queued events to the beacon now
+            if (document.hidden) {
+                flushSinks({ beacon: true });
+            }
         });
     }
     
     /**
      * Sets up navigation tracking
-     * Tracks before unload and page navigation
+     * Tracks before unload and page navigation, then flushes queued events
      */
     function setupNavigationTracking() {
-        window.addEventListener('beforeunload', function() {
-            const navigationData = {
-                event: 'PAGE_EXIT',
-                timestamp: new Date().toISOString(),
-                timeOnPage: Math.round((Date.now() - performance.timing.navigationStart) / 1000) + ' seconds',
-                url: window.location.href
-            };
-            
-            console.log('%c🚪 PAGE EXIT', 'background: #F44336; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-            console.table(navigationData);
-            console.log('');
+        listen(window, 'beforeunload', function() {
+            track(Schema.createEvent('PAGE_EXIT', {
+                url: window.location.href,
+                timeOnPage: engagement.getTimeOnPage(), // seconds
+                engagedTime: engagement.getEngagedTime() // seconds the page was visible
+            }));
+            flushSinks({ beacon: true });
+        });
+    }
+    
+    /**
+     * Sets up Web Vitals, resource timing and long task reporting
+     * Entries recorded before start (or before consent) are picked up from the
+     * browser's buffer once the monitor starts
+     */
+    function setupPerformanceTracking() {
+        if (consent.isGranted()) {
+            getPerformanceMonitor().start();
+        }
+        
+        teardowns.push(function() {
+            if (performanceMonitor) performanceMonitor.stop();
+        });
+    }
+    
+    /**
+     * Sets up error reporting
+     * Listening starts when the tracker loads (see errorMonitor); this
+     * reports what was caught before tracking started
+     */
+    function setupErrorTracking() {
+        errorMonitor.retry();
+    }
+    
+    /**
+     * Creates the error monitor, which starts listening straight away
+     * @returns {Object} - Error monitor (see tracker/errors.js)
+     */
+    function createErrorMonitor() {
+        return ErrorCapture.createErrorMonitor({
+            deliver: function(payload) {
+                if (!settings.trackers.errors) return true; // turned off: drop it
+                if (!running || !consent.isGranted()) return false; // keep it until tracking may record it
+                
+                track(Schema.createEvent('ERROR', payload));
+                return true;
+            },
+            describe: function(element) {
+                const policy = Privacy.getElementPolicy(element);
+                return policy === 'ignore' ? null : describeElement(element, { masked: policy === 'mask', withText: true, withPath: true });
+            }
         });
     }
     
+    /**
+     * Returns the performance monitor, creating it on first use
+     * @returns {Object} - Performance monitor (see tracker/performance.js)
+     */
+    function getPerformanceMonitor() {
+        if (!performanceMonitor) {
+            performanceMonitor = PerformanceMetrics.createPerformanceMonitor({
+                report: function(eventType, payload) {
+                    track(Schema.createEvent(eventType, payload));
+                },
+                describe: function(element) {
+                    const policy = Privacy.getElementPolicy(element);
+                    return policy === 'ignore' ? null : describeElement(element, { masked: policy === 'mask', withPath: true });
+                }
+            });
+        }
+        return performanceMonitor;
+    }
+    
+    /**
+     * Sets up session replay recording
+     * The recording only starts once consent is granted, so the snapshot is
+     * never taken while the visitor hasn't decided
+     */
+    function setupReplayTracking() {
+        recorder = Replay.createRecorder({
+            chunkInterval: settings.replayChunkInterval,
+            onChunk: function(chunk) {
+                track(Schema.createEvent('REPLAY', chunk));
+            }
+        });
+        
+        if (consent.isGranted()) {
+            recorder.start();
+        }
+        
+        teardowns.push(function() {
+            recorder.stop();
+            recorder = null;
+        });
+    }
+    
+    /**
+     * Describes an element in the shape of the schema's Element definition
+     * Missing attributes are null rather than placeholder strings
+     * @param {Element} element - The target element (or the document for key presses outside fields)
+     * @param {Object} options - { masked, withText, withValue, withPath }
+     * @returns {Object} - Element descriptor
+     */
+    function describeElement(element, options) {
+        const isElement = element.nodeType === Node.ELEMENT_NODE;
+        const descriptor = {
+            tagName: element.tagName || element.nodeName,
+            id: (isElement && element.id) || null,
+            className: (isElement && element.getAttribute('class')) || null,
+            name: (isElement && element.getAttribute('name')) || null,
+            type: (isElement && element.getAttribute('type')) || null
+        };
+        
+        if (options.withText) {
+            const text = (element.textContent || '').trim();
+            descriptor.text = options.masked && text ? Privacy.MASK : (text ? text.substring(0, 50) : null);
+        }
+        
+        if (options.withText || options.withValue) {
+            const value = typeof element.value === 'string' ? element.value : null;
+            descriptor.value = options.masked && value ? Privacy.MASK : (value || null);
+        }
+        
+        if (options.withPath && isElement) {
+            descriptor.selector = getCSSSelector(element);
+            descriptor.xpath = getXPath(element);
+            
+            // Label, section, table row and column; unlike the paths these survive changes to the markup
+            Object.assign(descriptor, Semantics.describe(element, options.masked));
+        }
+        
+        return descriptor;
+    }
+    
     /**
      * Generates a unique CSS selector for an element
      * @param {HTMLElement} element - The target element
@@ -357,15 +1041,26 @@
         if (element.id) {
             return '#' + element.id;
         }
+        if (element.hasAttribute('data-track-id')) {
+            return getTrackIdSelector(element);
+        }
         
-        // Build selector path
+        // Build selector path, stopping at the nearest ancestor with an ID or data-track-id
         const path = [];
         while (element.nodeType === Node.ELEMENT_NODE) {
             let selector = element.nodeName.toLowerCase();
             
             // Add classes if they exist
-            if (element.className && typeof element.className === 'string') {
-                selector += '.' + element.className.trim().split(/\s+/).join('.');
+            const classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+            if (classes.length) {
+                selector += '.' + classes.join('.');
+            }
+            
+            // Tell apart siblings the selector would match as well, e.g. the links of a nav bar;
+            // a position is the first thing a content edit changes, so it is added only then
+            const position = getSiblingPosition(element, classes);
+            if (position) {
+                selector += ':nth-of-type(' + position + ')';
             }
             
             path.unshift(selector);
@@ -374,11 +1069,50 @@
             if (!element || element.nodeType !== Node.ELEMENT_NODE) {
                 break;
             }
+            if (element.id) {
+                path.unshift('#' + element.id);
+                break;
+            }
+            if (element.hasAttribute('data-track-id')) {
+                path.unshift(getTrackIdSelector(element));
+                break;
+            }
         }
         
         return path.join(' > ');
     }
     
+    /**
+     * Position of an element among its siblings of the same type, when one of
+     * them has the same tag and classes and so can't be told apart otherwise
+     * @param {HTMLElement} element - The target element
+     * @param {Array} classes - Classes the selector names the element by
+     * @returns {number} - 1-based position, or 0 when tag and classes are enough
+     */
+    function getSiblingPosition(element, classes) {
+        const parent = element.parentNode;
+        if (!parent || parent.nodeType !== Node.ELEMENT_NODE) return 0;
+        
+        const sameType = Array.prototype.filter.call(parent.children, function(sibling) {
+            return sibling.nodeName === element.nodeName;
+        });
+        const ambiguous = sameType.some(function(sibling) {
+            return sibling !== element && classes.every(function(name) {
+                return sibling.classList.contains(name);
+            });
+        });
+        return ambiguous ? sameType.indexOf(element) + 1 : 0;
+    }
+    
+    /**
+     * Selector for an element the page named with data-track-id
+     * @param {HTMLElement} element - The target element
+     * @returns {string} - Attribute selector
+     */
+    function getTrackIdSelector(element) {
+        return '[data-track-id="' + element.getAttribute('data-track-id').replace(/["\\]/g, '\\$&') + '"]';
+    }
+    
     /**
      * Gets XPath for an element
      * @param {HTMLElement} element - The target element
@@ -393,6 +1127,11 @@
             return '/html/body';
         }
         
+        // Elements in <head>, e.g. a stylesheet link that failed to load
+        if (element === document.documentElement) {
+            return '/html';
+        }
+        
         let index = 0;
         const siblings = element.parentNode.childNodes;
         
@@ -432,18 +1171,279 @@
     
     // Export tracking object for external access if needed
     window.EventTracker = {
-        version: '1.0.0',
-        initialized: true,
+        version: '2.0.0',
+        
+        /**
+         * Whether the tracker is currently recording
+         */
+        get initialized() {
+            return running;
+        },
+        
+        /**
+         * Applies options and starts tracking
+         * @param {Object} options - See DEFAULT_OPTIONS
+         * @returns {Object} - The EventTracker API, for chaining
+         * @example
+         * EventTracker.init({ trackers: { mouse: false, keyboard: false }, inputDebounce: 1000 });
+         */
+        init: function(options) {
+            this.configure(options);
+            start();
+            return this;
+        },
+        
+        /**
+         * Changes options; a running tracker re-attaches its trackers and sinks
+         * without recording another page view
+         * @param {Object} options - See DEFAULT_OPTIONS
+         * @returns {Object} - The EventTracker API, for chaining
+         */
+        configure: function(options) {
+            settings = mergeOptions(settings, options || {});
+            
+            if (running) {
+                detachTrackers();
+                flushSinks({});
+                setupPrivacy();
+                setupSinks();
+                session.setTimeout(settings.sessionTimeout);
+                attachTrackers();
+            }
+            return this;
+        },
+        
+        /**
+         * Starts tracking with the current options
+         * @returns {Object} - The EventTracker API, for chaining
+         */
+        start: function() {
+            start();
+            return this;
+        },
+        
+        /**
+         * Stops tracking and removes all listeners; options and custom sinks are kept
+         * @returns {Object} - The EventTracker API, for chaining
+         */
+        stop: function() {
+            stop();
+            return this;
+        },
+        
+        /**
+         * Stops tracking, drops custom sinks and plugins and restores the default options
+         * Error capture and the engaged-time timer, which otherwise listen for the
+         * lifetime of the page, are removed too; init() or start() adds them again
+         */
+        destroy: function() {
+            stop();
+            if (heatmap) heatmap.hide();
+            errorMonitor.dispose();
+            engagement.dispose();
+            destroyed = true;
+            sinks = [];
+            customSinks = [];
+            plugins.clear();
+            settings = mergeOptions(DEFAULT_OPTIONS, {});
+        },
+        
+        /**
+         * Returns a copy of the active options
+         * @returns {Object} - Configuration object
+         */
+        getOptions: function() {
+            return mergeOptions(settings, {});
+        },
+        
+        /**
+         * Records the visitor's consent; tracking begins immediately
+         */
+        grantConsent: function() {
+            getConsent().grant();
+        },
+        
+        /**
+         * Withdraws consent; recording stops and queued events are discarded
+         */
+        revokeConsent: function() {
+            getConsent().revoke();
+        },
+        
+        /**
+         * Shows the consent banner again, e.g. from a "change your choice" link
+         * Does nothing while stopped or with the consentBanner option off
+         */
+        showConsentBanner: function() {
+            getConsent();
+            removeConsentBanner();
+            if (running && settings.consentBanner) {
+                consentBanner = Privacy.showConsentBanner(consent);
+            }
+        },
+        
+        /**
+         * Current consent status
+         * @returns {string} - 'granted', 'denied' or 'pending'
+         */
+        getConsentStatus: function() {
+            return getConsent().getStatus();
+        },
+        
+        /**
+         * Ids stamped on events from this page
+         * @returns {Object|null} - { visitorId, sessionId, pageViewId }, or null while stopped
+         *                          or without consent (ids are only created once consent is granted)
+         */
+        getIdentity: function() {
+            if (!running || !consent.isGranted()) return null;
+            
+            return {
+                visitorId: session.getVisitorId(),
+                sessionId: session.getSessionId(),
+                pageViewId: session.getPageViewId()
+            };
+        },
+        
+        /**
+         * Tracks an application-defined event
+         * @param {string} eventName - Event name, e.g. 'theme_change'
+         * @param {Object} eventData - Plain, JSON-serializable object (optional)
+         * @returns {Object} - { valid, errors }; invalid input is never recorded
+         * @example
+         * EventTracker.trackCustomEvent('material_download', { lecture: 12, type: 'Slides' });
+         */
         trackCustomEvent: function(eventName, eventData) {
-            console.log('%c🎯 CUSTOM EVENT: ' + eventName, 'background: #673AB7; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
-            console.log('Event Data:', eventData);
-            console.log('Timestamp:', new Date().toISOString());
-            console.log('');
+            return trackCustom(eventName, eventData);
+        },
+        
+        /**
+         * The JSON Schema every event is validated against
+         * @returns {Object} - JSON Schema document (same as tracker/event-schema.json)
+         */
+        getSchema: function() {
+            return JSON.parse(JSON.stringify(Schema.EVENT_SCHEMA));
+        },
+        
+        /**
+         * Registers an additional sink
+         * @param {Object} sink - { name, send(event), flush(options), clear() (optional) }
+         */
+        addSink: function(sink) {
+            customSinks.push(sink);
+        },
+        
+        /**
+         * Registers a plugin; see tracker/plugins.js for the context setup() receives
+         * Plugins run in order of their `order` (default 0), then in the order they were registered
+         * @param {Object} plugin - { name, order, setup(context) }
+         * @returns {boolean} - Whether the plugin was registered
+         * @example
+         * // Keep click payloads small
+         * EventTracker.use({
+         *     name: 'drop-click-styles',
+         *     setup: function(context) {
+         *         context.addMiddleware(function(event) {
+         *             if (event.event === 'CLICK') delete event.payload.computedStyles;
+         *             return event;
+         *         });
+         *     }
+         * });
+         * @example
+         * // Keep one mouse movement in ten
+         * EventTracker.use({
+         *     name: 'sample-mouse',
+         *     order: -10,
+         *     setup: function(context) {
+         *         context.addMiddleware(function(event) {
+         *             return event.event !== 'MOUSE_MOVE' || Math.random() < 0.1 ? event : null;
+         *         });
+         *     }
+         * });
+         * @example
+         * // A new event source: copying text from the page
+         * EventTracker.use({
+         *     name: 'copy',
+         *     setup: function(context) {
+         *         context.addSource(function() {
+         *             context.listen(document, 'copy', function() {
+         *                 context.track('text_copy', { length: String(window.getSelection()).length });
+         *             });
+         *         });
+         *     }
+         * });
+         */
+        use: function(plugin) {
+            const registered = plugins.use(plugin);
+            
+            // Sources of a plugin added while tracking start right away
+            if (registered && running) plugins.attachSources(plugin.name);
+            return registered;
+        },
+        
+        /**
+         * Removes a plugin, its middleware, sinks and event sources
+         * @param {string} name - Plugin name
+         */
+        removePlugin: function(name) {
+            plugins.remove(name);
+        },
+        
+        /**
+         * Sends queued events now
+         * @param {Object} options - { beacon: true } to use navigator.sendBeacon
+         */
+        flush: function(options) {
+            flushSinks(options || {});
+        },
+        
+        /**
+         * Opens or closes the debug overlay (same as Alt+Shift+T)
+         * @returns {boolean} - Whether the overlay is now open
+         */
+        toggleOverlay: function() {
+            if (!settings.debugOverlay) {
+                console.warn('[EventTracker] The debug overlay is disabled (options.debugOverlay)');
+                return false;
+            }
+            
+            getOverlay().toggle();
+            return getOverlay().isOpen();
+        },
+        
+        /**
+         * Draws the click heatmap and deepest scroll position over the page
+         * @example
+         * EventTracker.showHeatmap(); // click around, then
+         * copy(JSON.stringify(EventTracker.exportHeatmap()));
+         */
+        showHeatmap: function() {
+            if (!settings.heatmap) {
+                console.warn('[EventTracker] The heatmap is disabled (options.heatmap)');
+                return;
+            }
+            getHeatmap().show();
+        },
+        
+        /**
+         * Removes the heatmap layer; clicks are still aggregated
+         */
+        hideHeatmap: function() {
+            if (heatmap) heatmap.hide();
+        },
+        
+        /**
+         * The aggregated heatmap for this page view
+         * @returns {Object} - { version, page, generatedAt, grid: { columns, rows, cells }, totalClicks,
+         *                     selectors: [{ selector, semanticId, tagName, text, count }], scroll: { maxDepth } }
+         */
+        exportHeatmap: function() {
+            return getHeatmap().exportData();
         }
     };
     
     console.log('%c✅ Event Tracker Ready!', 'color: #4CAF50; font-weight: bold; font-size: 14px;');
-    console.log('Use EventTracker.trackCustomEvent(name, data) to track custom events');
+    console.log('Use EventTracker.init(options) to choose trackers, EventTracker.trackCustomEvent(name, data) to track custom events');
     console.log('');
     
 })();
\ No newline at end of file
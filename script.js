@@ -1,4 +1,3 @@
-
 // --- Live Clock ---
 function startTime() {
     const today = new Date();
@@ -6,43 +5,65 @@ function startTime() {
     document.getElementById('txt').innerHTML = today.toLocaleString('en-US', {
         dateStyle: 'full', timeStyle: 'medium'
     });
+    // The same tick drives the countdowns of the Upcoming panel
+    updateUpcoming(today);
     setTimeout(startTime, 1000); // Updates the clock every second
 }
 
 // --- Scroll-to-Top Button Logic ---
+// The button is shown and hidden by the scroll coordinator below
 const scrollTopBtn = document.getElementById("scrollTopBtn");
-// The main scroll event listener handles the visibility of the scroll-to-top button
-// and also triggers the navigation link update.
-window.onscroll = () => {
-    if (document.body.scrollTop > 100 || document.documentElement.scrollTop > 100) {
-        scrollTopBtn.style.display = "block";
-    } else {
-        scrollTopBtn.style.display = "none";
-    }
-};
 // Function called when the button is clicked
 const scrollToTop = () => window.scrollTo({ top: 0, behavior: 'smooth' });
 
-// --- Dark Mode Toggle Logic ---
-const themeToggle = document.getElementById('checkbox');
-// When the toggle is clicked, add/remove the 'dark-mode' class from the body
-themeToggle.addEventListener('change', () => {
-    document.body.classList.toggle('dark-mode');
-    // Save the user's preference in localStorage so it persists between visits
-    localStorage.setItem('theme', document.body.classList.contains('dark-mode') ? 'dark' : 'light');
+// --- Theme Picker ---
+// theme.js has already applied the saved theme; this wires up the Light / Dark / System / High contrast picker
+const themeInputs = document.querySelectorAll('input[name="theme"]');
+// The preference in use; by the time a change is saved, localStorage already holds the new one
+let themePreference = getThemePreference();
+
+// Marks the saved preference in the picker
+function syncThemePicker() {
+    const preference = getThemePreference();
+    themeInputs.forEach(input => {
+        input.checked = input.value === preference;
+    });
+}
+
+// Applies a preference and reports a change of preference or theme; source is "user", "system" or "other-tab"
+function changeTheme(preference, source) {
+    const previous = document.documentElement.dataset.theme || null;
+    const previousPreference = themePreference;
+    const theme = applyTheme(preference);
+    themePreference = preference;
+    syncThemePicker();
+    if (window.EventTracker && (theme !== previous || preference !== previousPreference)) {
+        window.EventTracker.trackCustomEvent('theme_change', { preference, previousPreference, theme, previous, source });
+    }
+}
+
+themeInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        // Save the user's preference in localStorage so it persists between visits
+        localStorage.setItem(THEME_KEY, input.value);
+        changeTheme(input.value, 'user');
+    });
 });
-// On page load, check if a theme preference is saved in localStorage
-if (localStorage.getItem('theme') === 'dark') {
-    document.body.classList.add('dark-mode');
-    themeToggle.checked = true; // Sync the toggle switch state
+// In "system" mode the page follows the operating system as it switches, e.g. at sunset
+if (darkSchemeQuery) {
+    darkSchemeQuery.addEventListener('change', () => {
+        if (getThemePreference() === 'system') changeTheme('system', 'system');
+    });
 }
+// A theme picked in another tab applies here too
+window.addEventListener('storage', event => {
+    if (event.key === THEME_KEY) changeTheme(getThemePreference(), 'other-tab');
+});
+syncThemePicker();
 
-// --- Scrollspy & Animation Observer ---
+// --- Animation Observer ---
 // We wait for the DOM to be fully loaded before running this script
 document.addEventListener('DOMContentLoaded', () => {
-    const sections = document.querySelectorAll('.content-section, header');
-    const navLinks = document.querySelectorAll('.nav-links a');
-
     // The Intersection Observer is a modern, efficient way to detect when an element
     // enters the viewport. It's better for performance than using a scroll event listener.
     const animationObserver = new IntersectionObserver(entries => {
@@ -61,23 +82,970 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('.content-section').forEach(section => {
         animationObserver.observe(section);
     });
+});
+
+// --- Scroll Coordinator ---
+// Everything on the page that follows scrolling goes through the tracker's scroll signal
+// (tracker/scroll.js), which measures the page once per frame for the scroll-to-top button,
+// the nav's section progress and the tracker's own scroll events alike. Which section is
+// being read comes from an IntersectionObserver, so scrolling never measures every section.
+// Ad-blockers often block the tracker's files; the page then measures scrolling itself.
+const scrollSignal = window.EventTrackerModules && window.EventTrackerModules.scroll
+    ? window.EventTrackerModules.scroll.getScrollSignal()
+    : createPageScrollSignal();
+const spySections = [...document.querySelectorAll('header, .content-section')];
+const navLinks = [...document.querySelectorAll('.nav-links a')];
+const sectionsInView = new Set();
+// The URL is left alone until the visitor scrolls, so a shared #labs link survives the page loading
+const initialScrollTop = scrollSignal.getState().top;
+let userHasScrolled = false;
+let currentSection = null;
+
+// Stand-in for the tracker's scroll signal with the same subscribe/getState/update, measuring once per frame
+function createPageScrollSignal() {
+    const subscribers = [];
+    let state = null;
+    let scheduled = false;
+
+    const measure = () => {
+        const top = window.pageYOffset || document.documentElement.scrollTop;
+        const maxTop = Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+        return { top, maxTop, atBottom: top >= maxTop - 2 };
+    };
+    const update = () => {
+        if (scheduled) return;
+        scheduled = true;
+        requestAnimationFrame(() => {
+            scheduled = false;
+            state = measure();
+            subscribers.forEach(subscriber => subscriber(state));
+        });
+    };
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update, { passive: true });
+
+    return {
+        subscribe: subscriber => subscribers.push(subscriber),
+        getState: () => state || (state = measure()),
+        update
+    };
+}
 
-    // This scroll listener is for the "scrollspy" feature (highlighting nav links)
-    window.addEventListener('scroll', () => {
-        let currentSectionId = '';
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            // Check if the user has scrolled past the top of the section
-            if (pageYOffset >= sectionTop - 100) { // 100px offset for better accuracy
-                currentSectionId = section.getAttribute('id');
+// A section is being read while it crosses the band between the sticky nav and a third of the way down
+const sectionObserver = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            sectionsInView.add(entry.target);
+        } else {
+            sectionsInView.delete(entry.target);
+        }
+    });
+    setCurrentSection(scrollSignal.getState());
+}, { rootMargin: '-100px 0px -66% 0px' });
+spySections.forEach(section => sectionObserver.observe(section));
+
+// Highlights the nav link of the section being read
+function setCurrentSection(state) {
+    // The last sections may be too short to reach the band, so at the bottom of the page the last one is being read
+    const section = state.atBottom ? spySections[spySections.length - 1] : spySections.filter(candidate => sectionsInView.has(candidate)).pop();
+    if (!section || section === currentSection) return;
+    currentSection = section;
+
+    navLinks.forEach(link => {
+        const active = link.getAttribute('href') === `#${section.id}`;
+        link.classList.toggle('active', active);
+        if (active) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+    syncSectionHash();
+}
+
+// Points the URL at the section being read. Replaced rather than pushed, so reading doesn't fill
+// the history; a search in the URL stays.
+function syncSectionHash() {
+    if (!userHasScrolled || !currentSection || getSearchFromHash() !== null) return;
+    const hash = currentSection === spySections[0] ? '' : `#${currentSection.id}`;
+    if (window.location.hash !== hash) {
+        history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+    }
+}
+
+scrollSignal.subscribe(state => {
+    // Measure before writing anything, so the page is laid out once per frame
+    const rect = currentSection ? currentSection.getBoundingClientRect() : null;
+    scrollTopBtn.style.display = state.top > 100 ? 'block' : 'none';
+    setCurrentSection(state);
+    if (state.top !== initialScrollTop && !userHasScrolled) {
+        userHasScrolled = true;
+        syncSectionHash();
+    }
+
+    // How far through the current section the reader is, shown under its nav link
+    const progress = state.atBottom ? 1 : rect && rect.height > 0 ? Math.min(1, Math.max(0, (100 - rect.top) / rect.height)) : 0;
+    navLinks.forEach(link => {
+        link.style.setProperty('--section-progress', link.classList.contains('active') ? progress : 0);
+    });
+});
+// Draws the button and progress for wherever the page opened
+scrollSignal.update();
+
+// --- Course Schedule ---
+// The lecture, lab and exam tables are rendered from schedule.json. Dates there are
+// ISO (YYYY-MM-DD) and every table shows them the same way, with the weekday worked
+// out from the date; a "day" written next to a date is only checked against it.
+// A session on purpose outside its table's "meetingDays" says why in "outsideMeetingDays".
+// A table's "time" and "room" are the usual ones for its sessions (an entry can
+// override them); only the entry's own are shown, all of them go into calendar exports.
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parses an ISO date; returns null for anything else, including dates that don't exist (2025-09-31)
+function parseScheduleDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+// Parses a time of day such as "8:30AM" or "2 PM"; returns { hours, minutes } or null
+function parseClockTime(value) {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/i.exec(String(value).trim());
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2] || 0) > 59) return null;
+    return { hours: Number(match[1]) % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0), minutes: Number(match[2] || 0) };
+}
+
+// Parses a time range such as "8:30AM-9:55AM"; returns { start, end } or null
+function parseTimeRange(value) {
+    const parts = String(value).split('-');
+    const start = parts.length === 2 ? parseClockTime(parts[0]) : null;
+    const end = parts.length === 2 ? parseClockTime(parts[1]) : null;
+    if (!start || !end || end.hours * 60 + end.minutes <= start.hours * 60 + start.minutes) return null;
+    return { start, end };
+}
+
+// Formats a date the way the tables show it, e.g. 01-Aug-2025
+function formatScheduleDate(value) {
+    const date = parseScheduleDate(value);
+    if (!date) return String(value);
+    return String(date.getUTCDate()).padStart(2, '0') + '-' + MONTHS[date.getUTCMonth()] + '-' + date.getUTCFullYear();
+}
+
+// Checks the schedule for mistakes: bad dates, a day that doesn't match its date,
+// lectures outside the meeting days, duplicate numbers, deadlines before the announcement.
+// Returns the problems found, as messages; an empty list means the schedule is fine.
+function validateSchedule(schedule) {
+    const problems = [];
+
+    ['lectures', 'labs', 'exams'].forEach(kind => {
+        const table = schedule && schedule[kind];
+        if (!table || !Array.isArray(table.entries)) {
+            problems.push(`${kind}: missing "entries" list`);
+            return;
+        }
+        const numbers = {};
+
+        table.entries.forEach((entry, index) => {
+            const name = `${kind} #${entry.number !== undefined ? entry.number : index + 1}`;
+
+            if (!Number.isInteger(entry.number) || entry.number < 1) {
+                problems.push(`${name}: number must be a positive whole number`);
+            } else if (numbers[entry.number]) {
+                problems.push(`${name}: number ${entry.number} is used more than once`);
+            }
+            numbers[entry.number] = true;
+
+            const title = kind === 'exams' ? entry.title : entry.topic;
+            if (typeof title !== 'string' || !title.trim()) {
+                problems.push(`${name}: ${kind === 'exams' ? 'title' : 'topic'} is missing`);
             }
+
+            if (kind === 'exams') {
+                const announced = parseScheduleDate(entry.announced);
+                const due = parseScheduleDate(entry.due);
+                if (!announced) problems.push(`${name}: announced date "${entry.announced}" is not a valid YYYY-MM-DD date`);
+                if (!due) problems.push(`${name}: due date "${entry.due}" is not a valid YYYY-MM-DD date`);
+                if (announced && due && due < announced) problems.push(`${name}: due ${entry.due} is before it was announced (${entry.announced})`);
+                ['announcedTime', 'dueTime'].forEach(field => {
+                    if (entry[field] !== undefined && !parseClockTime(entry[field])) problems.push(`${name}: ${field} "${entry[field]}" is not a time like 2:30 PM`);
+                });
+            } else {
+                const date = parseScheduleDate(entry.date);
+                if (!date) {
+                    problems.push(`${name}: date "${entry.date}" is not a valid YYYY-MM-DD date`);
+                } else {
+                    const weekday = WEEKDAYS[date.getUTCDay()];
+                    if (entry.day !== undefined && WEEKDAYS.indexOf(entry.day) === -1) {
+                        problems.push(`${name}: "${entry.day}" is not a weekday`);
+                    } else if (entry.day !== undefined && entry.day !== weekday) {
+                        problems.push(`${name}: ${entry.date} is a ${weekday}, not a ${entry.day}`);
+                    }
+                    if (Array.isArray(table.meetingDays) && table.meetingDays.indexOf(weekday) === -1 && !entry.outsideMeetingDays) {
+                        problems.push(`${name}: ${entry.date} is a ${weekday}; ${kind} meet on ${table.meetingDays.join(' and ')}`);
+                    }
+                }
+                const time = entry.time || table.time;
+                if (time !== undefined && !parseTimeRange(time)) {
+                    problems.push(`${name}: time "${time}" is not a range like 8:30AM-9:55AM`);
+                }
+            }
+
+            (entry.materials || []).forEach(material => {
+                if (!material || typeof material.label !== 'string' || !material.label.trim()) {
+                    problems.push(`${name}: a material has no label`);
+                } else if (material.url !== undefined && !/^https?:\/\//.test(material.url)) {
+                    problems.push(`${name}: ${material.label} link "${material.url}" is not an http(s) URL`);
+                }
+            });
         });
-        // Update the active class on navigation links
-        navLinks.forEach(a => {
-            a.classList.remove('active');
-            if (a.getAttribute('href') === `#${currentSectionId}`) {
-                a.classList.add('active');
+    });
+
+    return problems;
+}
+
+// Creates a table cell holding text, or nodes
+function createScheduleCell(...content) {
+    const cell = document.createElement('td');
+    cell.append(...content);
+    return cell;
+}
+
+// The material links of an entry: [Slides][Notes], with plain text for material not published yet
+function createMaterialCell(materials) {
+    const cell = createScheduleCell();
+    (materials || []).forEach(material => {
+        if (material.url) {
+            const link = document.createElement('a');
+            link.href = material.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = material.label;
+            cell.append('[', link, ']');
+        } else {
+            cell.append(`[${material.label}]`);
+        }
+    });
+    return cell;
+}
+
+// Builds the table row of a lecture, lab or exam; table holds the defaults of its kind
+function createScheduleRow(kind, entry, table) {
+    const row = document.createElement('tr');
+
+    if (kind === 'exams') {
+        row.append(
+            createScheduleCell(String(entry.number)),
+            createScheduleCell(entry.title),
+            createScheduleCell(formatScheduleDate(entry.announced) + (entry.announcedTime ? ' ' + entry.announcedTime : '')),
+            createScheduleCell(formatScheduleDate(entry.due) + (entry.dueTime ? ' ' + entry.dueTime : ''), createCalendarButton(kind, entry, table)),
+            createMaterialCell(entry.materials)
+        );
+        return row;
+    }
+
+    const date = parseScheduleDate(entry.date);
+    let when = formatScheduleDate(entry.date) + (date ? ` (${WEEKDAYS[date.getUTCDay()]})` : '');
+    if (entry.time) when += ' @ ' + entry.time;
+    if (entry.room) when += ` (${entry.room})`;
+
+    const topic = createScheduleCell(entry.topic);
+    // Cancelled sessions keep their row, struck through by the cancelled-row style
+    if (entry.cancelled) {
+        row.className = 'cancelled-row';
+        topic.append(document.createElement('br'), `[Cancelled - ${entry.cancelled}]`);
+    }
+
+    row.append(
+        // Labs are numbered 01, 02, ...
+        createScheduleCell(kind === 'labs' ? String(entry.number).padStart(2, '0') : String(entry.number)),
+        createScheduleCell(when, createCalendarButton(kind, entry, table)),
+        topic,
+        createMaterialCell(entry.materials)
+    );
+    return row;
+}
+
+// Rendered rows and when their entries take place: { row, kind, entry, timing }; timing is null for invalid dates
+let scheduleRows = [];
+
+// Fills every table marked data-schedule="lectures|labs|exams"
+function renderSchedule(schedule) {
+    scheduleRows = [];
+    document.querySelectorAll('table[data-schedule]').forEach(table => {
+        const kind = table.dataset.schedule;
+        const entries = schedule[kind] && Array.isArray(schedule[kind].entries) ? schedule[kind].entries : [];
+        table.tBodies[0].replaceChildren(...entries.map(entry => {
+            const row = createScheduleRow(kind, entry, schedule[kind]);
+            const timing = getEntryTiming(kind, entry, schedule[kind]);
+            scheduleRows.push({ row, kind, entry, timing });
+            return row;
+        }));
+    });
+}
+
+// Replaces the "Loading schedule…" rows with a message when schedule.json can't be loaded
+function showScheduleError() {
+    document.querySelectorAll('table[data-schedule]').forEach(table => {
+        const cell = createScheduleCell('The schedule could not be loaded. Please reload the page.');
+        cell.colSpan = table.tHead.rows[0].cells.length;
+        const row = document.createElement('tr');
+        row.append(cell);
+        table.tBodies[0].replaceChildren(row);
+    });
+}
+
+// Loads, checks and renders the schedule; problems are reported on the console for whoever edits schedule.json.
+// Resolves with the schedule, or null if it couldn't be loaded.
+function loadSchedule() {
+    return fetch('schedule.json')
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(schedule => {
+            validateSchedule(schedule).forEach(problem => console.warn('[Schedule]', problem));
+            renderSchedule(schedule);
+            return schedule;
+        })
+        .catch(error => {
+            console.error('[Schedule] Could not load schedule.json:', error);
+            // Browsers don't let a page opened from disk fetch the files next to it
+            if (location.protocol === 'file:') {
+                console.error('[Schedule] Open the page through a web server (e.g. python3 -m http.server), not as a file');
             }
+            showScheduleError();
+            return null;
+        });
+}
+
+const scheduleLoaded = loadSchedule();
+
+// --- Calendar Export ---
+// Builds iCalendar (RFC 5545) files from the schedule: lectures and labs as timed
+// events (all-day when no time is known), exams and assignments at their due date.
+// Times are campus time, so timed events carry the Asia/Kolkata zone (IST, no daylight saving).
+const CALENDAR_TIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Asia/Kolkata',
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Name of an entry as a student would say it: "Lecture 4", "Lab 07", or the exam's title
+function getEntryName(kind, entry) {
+    if (kind === 'lectures') return `Lecture ${entry.number}`;
+    if (kind === 'labs') return `Lab ${String(entry.number).padStart(2, '0')}`;
+    return entry.title;
+}
+
+// Escapes a TEXT value (commas, semicolons, backslashes and line breaks)
+function escapeCalendarText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Folds a content line into lines of at most 75 octets; continuation lines start with a space
+function foldCalendarLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let size = 0;
+    // for...of walks code points, so an emoji is never split in half
+    for (const char of line) {
+        const length = encoder.encode(char).length;
+        if (size + length > (lines.length ? 74 : 75)) {
+            lines.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+// "2025-08-01" → "20250801", with an optional time of day → "20250801T083000"
+function formatCalendarDate(value, time) {
+    const date = value.replace(/-/g, '');
+    if (!time) return date;
+    return `${date}T${String(time.hours).padStart(2, '0')}${String(time.minutes).padStart(2, '0')}00`;
+}
+
+// The day after an ISO date, for the exclusive end of all-day events
+function getNextDay(value) {
+    const date = parseScheduleDate(value);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+// The calendar event of a lecture, lab or exam, or null if its dates are unusable
+// table holds the defaults (time, room) of the entry's kind
+function createCalendarEvent(kind, entry, table) {
+    const name = getEntryName(kind, entry);
+    const links = (entry.materials || []).filter(material => material.url).map(material => `${material.label}: ${material.url}`);
+    const event = {
+        uid: `${kind}-${entry.number}@${window.location.hostname || 'ssd-course'}`,
+        url: window.location.href.split('#')[0] + '#' + kind,
+        status: entry.cancelled ? 'CANCELLED' : 'CONFIRMED',
+        description: (entry.cancelled ? [`Cancelled - ${entry.cancelled}`] : []).concat(links).join('\n')
+    };
+
+    if (kind === 'exams') {
+        const due = parseScheduleDate(entry.due);
+        if (!due) return null;
+        const announcedTime = entry.announcedTime ? parseClockTime(entry.announcedTime) : null;
+        const dueTime = entry.dueTime ? parseClockTime(entry.dueTime) : null;
+
+        // Announced and due the same day at set times (a quiz) is a sitting; anything else is a deadline
+        if (entry.announced === entry.due && announcedTime && dueTime) {
+            event.summary = name;
+            event.start = formatCalendarDate(entry.due, announcedTime);
+            event.end = formatCalendarDate(entry.due, dueTime);
+        } else {
+            event.summary = `Due: ${name}`;
+            event.start = dueTime ? formatCalendarDate(entry.due, dueTime) : formatCalendarDate(entry.due);
+            event.allDay = !dueTime;
+            if (event.allDay) event.end = formatCalendarDate(getNextDay(entry.due));
+        }
+        return event;
+    }
+
+    if (!parseScheduleDate(entry.date)) return null;
+    const range = parseTimeRange(entry.time || table.time || '');
+    event.summary = `${name}: ${entry.topic}`;
+    event.location = entry.room || table.room;
+    if (range) {
+        event.start = formatCalendarDate(entry.date, range.start);
+        event.end = formatCalendarDate(entry.date, range.end);
+    } else {
+        event.allDay = true;
+        event.start = formatCalendarDate(entry.date);
+        event.end = formatCalendarDate(getNextDay(entry.date));
+    }
+    return event;
+}
+
+// Every event of the course: lectures, labs and deadlines
+function createCourseCalendarEvents(schedule) {
+    return ['lectures', 'labs', 'exams'].reduce((events, kind) => {
+        const table = schedule[kind] || {};
+        (table.entries || []).forEach(entry => {
+            const event = createCalendarEvent(kind, entry, table);
+            if (event) events.push(event);
         });
+        return events;
+    }, []);
+}
+
+// Builds the .ics file for a list of events
+function buildCalendar(events, name) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CS6.302 SSD//Course Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' + escapeCalendarText(name),
+        'X-WR-TIMEZONE:Asia/Kolkata'
+    ].concat(CALENDAR_TIMEZONE);
+
+    events.forEach(event => {
+        lines.push('BEGIN:VEVENT', 'UID:' + event.uid, 'DTSTAMP:' + stamp);
+        if (event.allDay) {
+            lines.push('DTSTART;VALUE=DATE:' + event.start, 'DTEND;VALUE=DATE:' + event.end);
+        } else {
+            // A deadline has no end: it takes no time
+            lines.push('DTSTART;TZID=Asia/Kolkata:' + event.start);
+            if (event.end) lines.push('DTEND;TZID=Asia/Kolkata:' + event.end);
+        }
+        lines.push('SUMMARY:' + escapeCalendarText(event.summary));
+        if (event.location) lines.push('LOCATION:' + escapeCalendarText(event.location));
+        if (event.description) lines.push('DESCRIPTION:' + escapeCalendarText(event.description));
+        lines.push('URL:' + event.url, 'STATUS:' + event.status);
+        // A higher sequence makes calendars that imported the session earlier take the cancellation
+        lines.push('SEQUENCE:' + (event.status === 'CANCELLED' ? 1 : 0), 'END:VEVENT');
     });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldCalendarLine).join('\r\n') + '\r\n';
+}
+
+// Offers a calendar file for download
+function downloadCalendar(fileName, events, name) {
+    const blob = new Blob([buildCalendar(events, name)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    if (window.EventTracker) {
+        window.EventTracker.trackCustomEvent('calendar_download', { file: fileName, events: events.length });
+    }
+}
+
+// The "add to calendar" button of a table row
+function createCalendarButton(kind, entry, table) {
+    const name = getEntryName(kind, entry);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'calendar-button';
+    button.title = 'Add to calendar';
+    button.setAttribute('aria-label', `Add ${name} to calendar`);
+    button.innerHTML = '<i class="fas fa-calendar-plus" aria-hidden="true"></i>';
+    button.addEventListener('click', () => {
+        const event = createCalendarEvent(kind, entry, table);
+        if (event) downloadCalendar(`${kind}-${entry.number}.ics`, [event], `SSD - ${name}`);
+    });
+    return button;
+}
+
+// Whole-course download
+document.getElementById('calendar-download').addEventListener('click', () => {
+    scheduleLoaded.then(schedule => {
+        if (schedule) downloadCalendar('ssd-course-schedule.ics', createCourseCalendarEvents(schedule), document.title);
+    });
+});
+
+// --- Upcoming Panel ---
+// Every clock tick refreshes the countdowns, dims rows that are over and highlights
+// the current week. Schedule times are campus time (IST, UTC+5:30), so countdowns
+// are right whatever time zone the visitor is in.
+const CAMPUS_UTC_OFFSET = 330; // minutes
+const DAY = 24 * 60 * 60 * 1000;
+const NOTIFICATIONS_KEY = 'deadlineNotifications';
+const NOTIFIED_KEY = 'notifiedDeadlines';
+const upcomingList = document.getElementById('upcoming-list');
+const notificationsButton = document.getElementById('deadline-notifications');
+let upcomingReady = false;
+let upcomingKey = null;
+
+// A date and time of day on campus as a timestamp; midnight when no time is given
+function getCampusTimestamp(value, time) {
+    const date = parseScheduleDate(value);
+    if (!date) return null;
+    return date.getTime() + ((time ? time.hours * 60 + time.minutes : 0) - CAMPUS_UTC_OFFSET) * 60000;
+}
+
+// When an entry starts and ends and the day it is listed under, or null if its dates are unusable.
+// Sessions without a time last the whole day; a deadline without a time is the end of the due day.
+function getEntryTiming(kind, entry, table) {
+    if (kind === 'exams') {
+        const day = getCampusTimestamp(entry.due);
+        if (day === null) return null;
+        const dueTime = entry.dueTime ? parseClockTime(entry.dueTime) : null;
+        const end = dueTime ? getCampusTimestamp(entry.due, dueTime) : day + DAY;
+        const start = getCampusTimestamp(entry.announced, entry.announcedTime ? parseClockTime(entry.announcedTime) : null);
+        return { day, start: start === null ? end : start, end, timed: Boolean(dueTime) };
+    }
+
+    const day = getCampusTimestamp(entry.date);
+    if (day === null) return null;
+    const range = parseTimeRange(entry.time || table.time || '');
+    if (!range) return { day, start: day, end: day + DAY, timed: false };
+    return { day, start: getCampusTimestamp(entry.date, range.start), end: getCampusTimestamp(entry.date, range.end), timed: true };
+}
+
+// Formats a timestamp in campus time, e.g. 31-Oct-2025 8:30 AM
+function formatCampusTime(timestamp) {
+    const date = new Date(timestamp + CAMPUS_UTC_OFFSET * 60000);
+    const hours = date.getUTCHours();
+    return `${formatScheduleDate(date.toISOString().slice(0, 10))} ${hours % 12 || 12}:${String(date.getUTCMinutes()).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+// Formats the time left, e.g. 2d 04h 13m 05s
+function formatCountdown(milliseconds) {
+    const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const pad = value => String(value).padStart(2, '0');
+    const days = Math.floor(seconds / 86400);
+    return `${days ? days + 'd ' : ''}${pad(Math.floor(seconds % 86400 / 3600))}h ${pad(Math.floor(seconds % 3600 / 60))}m ${pad(seconds % 60)}s`;
+}
+
+// The next lecture, the next lab (either may be under way) and every deadline still ahead, soonest first
+function getUpcomingItems(now) {
+    const items = [];
+
+    ['lectures', 'labs'].forEach(kind => {
+        const next = scheduleRows
+            .filter(item => item.kind === kind && item.timing && !item.entry.cancelled && item.timing.end > now)
+            .sort((a, b) => a.timing.start - b.timing.start)[0];
+        if (next) {
+            const when = next.timing.timed ? formatCampusTime(next.timing.start) : formatScheduleDate(next.entry.date);
+            items.push({ item: next, label: kind === 'lectures' ? 'Next lecture' : 'Next lab', when, target: next.timing.start, deadline: false });
+        }
+    });
+
+    scheduleRows
+        .filter(item => item.kind === 'exams' && item.timing && item.timing.end > now)
+        .sort((a, b) => a.timing.end - b.timing.end)
+        .forEach(item => {
+            const when = item.timing.timed ? formatCampusTime(item.timing.end) : `${formatScheduleDate(item.entry.due)} (end of day)`;
+            items.push({ item, label: 'Due', when, target: item.timing.end, deadline: true });
+        });
+
+    return items;
+}
+
+// Builds one line of the panel; the countdown is filled in on every tick
+function createUpcomingItem({ item, label, when }) {
+    const line = document.createElement('li');
+    line.className = 'upcoming-item';
+    const title = document.createElement('strong');
+    title.textContent = item.kind === 'exams' ? item.entry.title : `${getEntryName(item.kind, item.entry)}: ${item.entry.topic}`;
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'upcoming-label';
+    labelSpan.textContent = label;
+    const whenSpan = document.createElement('span');
+    whenSpan.className = 'upcoming-when';
+    whenSpan.textContent = when;
+    const countdown = document.createElement('span');
+    countdown.className = 'countdown';
+    countdown.setAttribute('role', 'timer');
+    line.append(labelSpan, title, whenSpan, countdown);
+    return line;
+}
+
+// Called by the clock every second
+function updateUpcoming(now) {
+    if (!upcomingReady) return;
+    const time = now.getTime();
+    const items = getUpcomingItems(time);
+
+    // The list is only rebuilt when what is upcoming changes, not on every tick
+    const key = items.map(({ item, target }) => item.kind + item.entry.number + '@' + target).join(',');
+    if (key !== upcomingKey) {
+        upcomingKey = key;
+        upcomingList.replaceChildren(...items.map(createUpcomingItem));
+        if (items.length === 0) {
+            const line = document.createElement('li');
+            line.textContent = 'No upcoming sessions or deadlines.';
+            upcomingList.append(line);
+        }
+    }
+
+    items.forEach(({ target, deadline }, index) => {
+        const line = upcomingList.children[index];
+        line.querySelector('.countdown').textContent = target <= time ? 'in progress' : formatCountdown(target - time);
+        line.classList.toggle('urgent', deadline && target - time < DAY);
+    });
+
+    // Rows are dimmed once over; the current week runs Monday to Sunday, campus time
+    const campusNow = new Date(time + CAMPUS_UTC_OFFSET * 60000);
+    const weekStart = Date.UTC(campusNow.getUTCFullYear(), campusNow.getUTCMonth(), campusNow.getUTCDate() - (campusNow.getUTCDay() + 6) % 7) - CAMPUS_UTC_OFFSET * 60000;
+    scheduleRows.forEach(({ row, timing }) => {
+        if (!timing) return;
+        row.classList.toggle('past-row', timing.end <= time);
+        row.classList.toggle('current-week-row', timing.day >= weekStart && timing.day < weekStart + 7 * DAY);
+    });
+
+    notifyDeadlines(items, time);
+}
+
+// Deadline notifications are opt-in: the visitor has to ask for them and the browser has to allow them
+function notificationsEnabled() {
+    return 'Notification' in window && Notification.permission === 'granted' && localStorage.getItem(NOTIFICATIONS_KEY) === 'on';
+}
+
+// Notifies once per deadline, when it is less than 24 hours away
+function notifyDeadlines(items, now) {
+    if (!notificationsEnabled()) return;
+
+    let notified;
+    try {
+        notified = JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || [];
+    } catch (error) {
+        notified = [];
+    }
+
+    const due = items.filter(({ item, target, deadline }) => deadline && target - now < DAY && notified.indexOf(`${item.kind}-${item.entry.number}@${item.entry.due}`) === -1);
+    if (due.length === 0) return;
+
+    due.forEach(({ item, when, target }) => {
+        // The due date is part of the key, so a deadline that moves is announced again
+        const key = `${item.kind}-${item.entry.number}@${item.entry.due}`;
+        notified.push(key);
+        try {
+            new Notification(`Due soon: ${item.entry.title}`, { body: `Due ${when} (in ${formatCountdown(target - now)})`, tag: key });
+        } catch (error) {
+            // Some mobile browsers only show notifications from a service worker
+            console.warn('Could not show a deadline notification:', error);
+        }
+    });
+    localStorage.setItem(NOTIFIED_KEY, JSON.stringify(notified));
+}
+
+// Shows the notifications button in browsers that support them, labelled with the current state
+function updateNotificationsButton() {
+    if (!('Notification' in window)) return;
+    const enabled = notificationsEnabled();
+    notificationsButton.hidden = false;
+    notificationsButton.disabled = Notification.permission === 'denied';
+    notificationsButton.setAttribute('aria-pressed', String(enabled));
+    notificationsButton.querySelector('span').textContent = Notification.permission === 'denied'
+        ? 'Notifications are blocked in your browser settings'
+        : enabled ? 'Stop deadline notifications' : 'Notify me a day before deadlines';
+}
+
+// Asks for permission to notify; older Safari takes a callback instead and returns nothing
+function requestNotificationPermission() {
+    return new Promise(resolve => {
+        const request = Notification.requestPermission(resolve);
+        if (request) request.then(resolve);
+    });
+}
+
+notificationsButton.addEventListener('click', () => {
+    const permission = notificationsEnabled() ? Promise.resolve(null) : requestNotificationPermission();
+    permission.then(result => {
+        localStorage.setItem(NOTIFICATIONS_KEY, result === 'granted' ? 'on' : 'off');
+        updateNotificationsButton();
+        if (window.EventTracker) {
+            window.EventTracker.trackCustomEvent('deadline_notifications', { enabled: notificationsEnabled() });
+        }
+        updateUpcoming(new Date());
+    });
+});
+updateNotificationsButton();
+
+scheduleLoaded.then(schedule => {
+    if (!schedule) {
+        const line = document.createElement('li');
+        line.textContent = 'The schedule could not be loaded. Please reload the page.';
+        upcomingList.replaceChildren(line);
+        return;
+    }
+    upcomingReady = true;
+    updateUpcoming(new Date());
 });
+
+// --- Schedule Search ---
+// Filters the rows of the lecture, lab and exam tables at once. Words (or "quoted phrases")
+// must all appear in a row and are highlighted; filters narrow it down further:
+//   in:lectures|labs|exams   month:oct (or 10, 2025-10)   is:cancelled
+//   has:material (any published link) or has:slides, has:notes, ...
+//   no:material (only [Notes][Slides] placeholders) or no:slides, ...
+// A leading "-" negates a word or filter, so -is:cancelled hides cancelled sessions.
+// The query is kept in the URL as #search=<query>, so a filtered view can be shared.
+const SEARCH_HASH_PREFIX = 'search=';
+const searchForm = document.getElementById('schedule-search');
+const searchInput = document.getElementById('schedule-search-input');
+const searchCount = document.getElementById('schedule-search-count');
+let searchReady = false;
+
+// Splits a query into terms: { negate, field, value }; field is null for plain words
+function parseSearchQuery(query) {
+    const terms = [];
+    const pattern = /(-?)(?:(in|is|has|no|month):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(query))) {
+        const value = (match[3] !== undefined ? match[3] : match[4] || '').trim().toLowerCase();
+        if (value) terms.push({ negate: match[1] === '-', field: match[2] ? match[2].toLowerCase() : null, value });
+    }
+    return terms;
+}
+
+// The month a month: filter names, as a "YYYY-MM" prefix or a 0-based month; null if it names none
+function parseSearchMonth(value) {
+    if (/^\d{4}-\d{2}$/.test(value)) return value;
+    if (/^\d{1,2}$/.test(value)) return Number(value) >= 1 && Number(value) <= 12 ? Number(value) - 1 : null;
+    const index = MONTHS.findIndex(month => month.toLowerCase() === value.slice(0, 3));
+    return index === -1 ? null : index;
+}
+
+// Whether a material of an entry answers has:/no: — "material" is any of them, "slides" any labelled Slide(s)
+function hasMaterial(entry, value) {
+    const type = value.replace(/s$/, '');
+    return (entry.materials || []).some(material => material.url && (type === 'material' || material.label.toLowerCase().includes(type)));
+}
+
+// Whether a row answers one term of the query, before negation
+function matchesSearchTerm({ row, kind, entry }, { field, value }) {
+    switch (field) {
+        case 'in':
+            return kind.startsWith(value.replace(/s$/, ''));
+        case 'is':
+            return value.startsWith('cancel') && Boolean(entry.cancelled);
+        case 'has':
+            return hasMaterial(entry, value);
+        case 'no':
+            return !hasMaterial(entry, value);
+        case 'month': {
+            const month = parseSearchMonth(value);
+            const dates = (kind === 'exams' ? [entry.announced, entry.due] : [entry.date]).map(parseScheduleDate).filter(Boolean);
+            if (month === null) return false;
+            return dates.some(date => typeof month === 'string' ? date.toISOString().startsWith(month) : date.getUTCMonth() === month);
+        }
+        default:
+            return row.textContent.replace(/\s+/g, ' ').toLowerCase().includes(value);
+    }
+}
+
+// Removes the highlights of the previous search
+function clearSearchHighlights(row) {
+    row.querySelectorAll('mark.search-highlight').forEach(mark => mark.replaceWith(mark.textContent));
+    row.normalize();
+}
+
+// Wraps every occurrence of the words in the row's text in <mark>
+function highlightSearchWords(row, words) {
+    const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+        const text = node.nodeValue;
+        const parts = [];
+        let last = 0;
+        text.replace(pattern, (found, offset) => {
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = found;
+            parts.push(text.slice(last, offset), mark);
+            last = offset + found.length;
+        });
+        if (parts.length) node.replaceWith(...parts, text.slice(last));
+    });
+}
+
+// Shows the rows that match the query; tables left empty say so. Returns the number of matching rows.
+function applyScheduleSearch(query) {
+    const terms = parseSearchQuery(query);
+    const words = terms.filter(term => !term.field && !term.negate).map(term => term.value);
+    let matches = 0;
+
+    scheduleRows.forEach(item => {
+        clearSearchHighlights(item.row);
+        const visible = terms.every(term => matchesSearchTerm(item, term) !== term.negate);
+        item.row.hidden = !visible;
+        if (visible) {
+            matches++;
+            if (words.length) highlightSearchWords(item.row, words);
+        }
+    });
+
+    document.querySelectorAll('table[data-schedule]').forEach(table => {
+        const body = table.tBodies[0];
+        let empty = body.querySelector('.search-empty-row');
+        if (empty) empty.remove();
+        if (terms.length && [...body.rows].every(row => row.hidden)) {
+            const cell = createScheduleCell(`No ${table.dataset.schedule} match "${query.trim()}".`);
+            cell.colSpan = table.tHead.rows[0].cells.length;
+            empty = document.createElement('tr');
+            empty.className = 'search-empty-row';
+            empty.append(cell);
+            body.append(empty);
+        }
+    });
+
+    searchCount.textContent = terms.length ? `${matches} of ${scheduleRows.length}` : '';
+    // The sections below a filtered table have moved
+    scrollSignal.update();
+    return matches;
+}
+
+// The query in the URL, or null when the hash is something else (a section link)
+function getSearchFromHash() {
+    const hash = window.location.hash.slice(1);
+    if (!hash.startsWith(SEARCH_HASH_PREFIX)) return null;
+    try {
+        return decodeURIComponent(hash.slice(SEARCH_HASH_PREFIX.length));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keeps the query in the URL without adding a history entry per keystroke
+function setSearchHash(query) {
+    const url = query.trim() ? '#' + SEARCH_HASH_PREFIX + encodeURIComponent(query) : window.location.pathname + window.location.search;
+    history.replaceState(null, '', url);
+}
+
+// Brings the first matching row into view
+function scrollToFirstMatch() {
+    const first = scheduleRows.find(item => !item.row.hidden);
+    if (first) first.row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+searchInput.addEventListener('input', () => {
+    if (!searchReady) return;
+    applyScheduleSearch(searchInput.value);
+    setSearchHash(searchInput.value);
+});
+
+searchForm.addEventListener('submit', event => {
+    event.preventDefault();
+    if (!searchReady || !searchInput.value.trim()) return;
+    const matches = applyScheduleSearch(searchInput.value);
+    scrollToFirstMatch();
+    if (window.EventTracker) {
+        window.EventTracker.trackCustomEvent('schedule_search', { query: searchInput.value.trim(), matches });
+    }
+});
+
+// A shared link opened in a tab that is already on the page; section links leave the search alone
+window.addEventListener('hashchange', () => {
+    const query = getSearchFromHash();
+    if (!searchReady || query === null || query === searchInput.value) return;
+    searchInput.value = query;
+    applyScheduleSearch(query);
+    scrollToFirstMatch();
+});
+
+scheduleLoaded.then(schedule => {
+    if (!schedule) {
+        searchInput.disabled = true;
+        return;
+    }
+    searchReady = true;
+    const query = getSearchFromHash();
+    if (query) {
+        searchInput.value = query;
+        applyScheduleSearch(query);
+        scrollToFirstMatch();
+    }
+});
+
+// --- Offline Support ---
+// sw.js caches the page so it opens without a connection. It answers from the cache first, so
+// when it finds that a file has changed since, the page offers a reload to show the new version.
+const updatePrompt = document.getElementById('update-prompt');
+
+document.getElementById('update-reload').addEventListener('click', () => window.location.reload());
+document.getElementById('update-dismiss').addEventListener('click', () => {
+    updatePrompt.hidden = true;
+});
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'content-updated') {
+            updatePrompt.hidden = false;
+        }
+    });
+    // Registered once the page has loaded, so caching doesn't compete with it for the connection
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => console.warn('Offline support is unavailable:', error));
+    });
+}
+
+// --- Analytics Consent ---
+// The tracker asks for consent once; the footer button lets visitors take it back and choose again.
+// Hidden when the tracker didn't load (an ad-blocker), since there is nothing to consent to.
+const consentButton = document.getElementById('analytics-consent');
+
+if (window.EventTracker) {
+    consentButton.hidden = false;
+    consentButton.addEventListener('click', () => {
+        window.EventTracker.revokeConsent();
+        window.EventTracker.showConsentBanner();
+    });
+}
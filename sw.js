@@ -0,0 +1,120 @@
+// --- Offline Support (service worker) ---
+// Keeps the page, its scripts, the schedule and the font/icon stylesheets with their fonts in a
+// cache so the page opens on flaky campus Wi-Fi. Every request it handles is answered
+// stale-while-revalidate: straight from the cache when there is a copy, while a fresh copy is
+// fetched for next time. When the fresh copy of a page file differs from the one just served,
+// the open pages are told so they can offer a reload.
+
+// Bump when the list below changes; older caches are removed on activation
+const CACHE_NAME = 'ssd-offline-v3';
+
+// Everything newssd.html needs, in the order it loads it
+const PAGE_FILES = [
+    'newssd.html',
+    'style.css',
+    'schedule.json',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'theme.js',
+    'tracker/transport.js',
+    'tracker/privacy.js',
+    'tracker/schema.js',
+    'tracker/session.js',
+    'tracker/storage.js',
+    'tracker/overlay.js',
+    'tracker/heatmap.js',
+    'tracker/replay.js',
+    'tracker/performance.js',
+    'tracker/errors.js',
+    'tracker/semantics.js',
+    'tracker/plugins.js',
+    'tracker/scroll.js',
+    'event_tracker.js',
+    'script.js'
+];
+
+// Stylesheets from CDNs; the fonts they point to are cached with them
+const STYLESHEETS = [
+    'https://fonts.googleapis.com/css2?family=Poppins:wght@600;700&family=Quicksand:wght@400;500;700&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css'
+];
+
+// Other sites whose files are cached: the stylesheets and their fonts. Links to course
+// material on other sites are left to the network.
+const CACHED_ORIGINS = [self.location.origin, 'https://fonts.googleapis.com', 'https://fonts.gstatic.com', 'https://cdnjs.cloudflare.com'];
+
+// Caches a stylesheet and the woff2 fonts it uses (every browser with service workers reads woff2)
+function cacheStylesheet(cache, url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        return cache.put(url, response.clone()).then(() => response.text());
+    }).then(css => {
+        const fonts = [...css.matchAll(/url\((['"]?)([^'")]+\.woff2)\1\)/g)].map(match => new URL(match[2], url).href);
+        return cache.addAll([...new Set(fonts)]);
+    });
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PAGE_FILES).then(() =>
+        // Without the fonts the page still works, so they don't hold up the install
+        Promise.all(STYLESHEETS.map(url => cacheStylesheet(cache, url).catch(error => console.warn('Could not cache for offline use:', error))))
+    )).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Tells the open pages that a file they use has changed
+function announceUpdate(url) {
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'content-updated', url }));
+    });
+}
+
+// Whether the fresh copy of a page file differs from the cached one
+function hasChanged(cached, fresh) {
+    return Promise.all([cached.text(), fresh.text()]).then(([before, after]) => before !== after);
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !CACHED_ORIGINS.includes(url.origin)) return;
+
+    // The page is the same whatever its query string (links shared with ?utm_source=...)
+    const matchOptions = request.mode === 'navigate' ? { ignoreSearch: true } : {};
+
+    event.respondWith(caches.open(CACHE_NAME).then(cache => cache.match(request, matchOptions).then(cached => {
+        const refresh = fetch(request).then(response => {
+            // Opaque responses (status 0) are kept too: they are how some CDNs answer
+            if (!response.ok && response.type !== 'opaque') return response;
+
+            const stored = cache.put(request, response.clone());
+            if (cached && url.origin === self.location.origin) {
+                const compared = hasChanged(cached.clone(), response.clone()).then(changed => {
+                    if (changed) announceUpdate(url.pathname);
+                });
+                event.waitUntil(Promise.all([stored, compared]));
+            } else {
+                event.waitUntil(stored);
+            }
+            return response;
+        });
+
+        if (cached) {
+            // Offline: the cached copy is all there is
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh.catch(error => {
+            // A page opened under another URL (the site root, say) falls back to the cached page
+            if (request.mode === 'navigate') {
+                return cache.match('newssd.html').then(page => page || Promise.reject(error));
+            }
+            throw error;
+        });
+    })));
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+// What an ad-blocker typically leaves of the page
+const TRACKER_FILES = ['tracker/', 'event_tracker.js'];
+
+describe('page without the tracker', () => {
+    let page;
+
+    beforeEach(async () => {
+        page = await loadPage({ blocked: TRACKER_FILES });
+    });
+
+    afterEach(() => page.close());
+
+    test('loads none of the tracker', () => {
+        expect(page.window.EventTracker).toBeUndefined();
+        expect(page.window.EventTrackerModules).toBeUndefined();
+        expect(page.document.getElementById('analytics-consent').hidden).toBe(true);
+    });
+
+    test('still renders the schedule and the Upcoming panel', () => {
+        page.clock.tick(1000);
+
+        expect(page.document.querySelectorAll('#lectures tbody tr').length).toBeGreaterThan(20);
+        expect(page.document.querySelectorAll('#upcoming-list .upcoming-item').length).toBeGreaterThan(0);
+        expect(page.logs.filter(log => log.level === 'jsdomError' && !log.message.includes('Could not load script'))).toEqual([]);
+    });
+
+    test('still follows scrolling', () => {
+        page.intersect(observer => Boolean(observer.options.rootMargin), ['labs']);
+        page.scrollTo(1500);
+
+        expect(page.document.getElementById('scrollTopBtn').style.display).toBe('block');
+        expect(page.document.querySelector('.nav-links a.active').getAttribute('href')).toBe('#labs');
+        expect(page.window.location.hash).toBe('#labs');
+    });
+
+    test('still searches the schedule', () => {
+        const input = page.document.getElementById('schedule-search-input');
+        input.value = 'python';
+        input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+
+        expect(page.document.getElementById('schedule-search-count').textContent).toMatch(/^\d+ of \d+/);
+    });
+});
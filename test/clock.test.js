@@ -0,0 +1,69 @@
+'use strict';
+
+const { loadPage, DEFAULT_NOW } = require('./helpers/page');
+
+// The page shows the time in the visitor's time zone, which here is the test run's
+function formatClock(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'medium' });
+}
+
+// "2d 04h 13m 05s" in seconds
+function countdownSeconds(text) {
+    const match = /^(?:(\d+)d )?(\d{2})h (\d{2})m (\d{2})s$/.exec(text);
+    if (!match) throw new Error(`Not a countdown: ${text}`);
+    return Number(match[1] || 0) * 86400 + Number(match[2]) * 3600 + Number(match[3]) * 60 + Number(match[4]);
+}
+
+describe('clock', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    test('shows the current date and time and ticks every second', async () => {
+        page = await loadPage();
+        const clock = page.document.getElementById('txt');
+        expect(clock.textContent).toBe(formatClock(DEFAULT_NOW));
+
+        page.clock.tick(1000);
+        expect(clock.textContent).toBe(formatClock(DEFAULT_NOW + 1000));
+
+        page.clock.tick(60 * 1000);
+        expect(clock.textContent).toBe(formatClock(DEFAULT_NOW + 61 * 1000));
+    });
+
+    test('the upcoming countdowns tick with it', async () => {
+        page = await loadPage();
+        page.clock.tick(1000);
+        // Sessions under way say "in progress" rather than counting
+        const countdowns = () => [...page.document.querySelectorAll('#upcoming-list .countdown')]
+            .map(node => node.textContent)
+            .filter(text => text !== 'in progress');
+
+        const before = countdowns();
+        expect(before.length).toBeGreaterThan(0);
+
+        page.clock.tick(1000);
+        const after = countdowns();
+        expect(after.map(countdownSeconds)).toEqual(before.map(text => countdownSeconds(text) - 1));
+    });
+
+    test('counts down to campus time and moves on once a session is over', async () => {
+        // 09:30 on campus: Lecture 15 (8:30-9:55 AM) is under way, Lab 10 is Friday at 2 PM
+        page = await loadPage();
+        page.clock.tick(1000);
+        const upcoming = label => [...page.document.querySelectorAll('#upcoming-list .upcoming-item')]
+            .find(item => item.querySelector('.upcoming-label').textContent === label);
+
+        expect(upcoming('Next lecture').querySelector('strong').textContent).toMatch(/^Lecture 15:/);
+        expect(upcoming('Next lecture').querySelector('.countdown').textContent).toBe('in progress');
+        expect(upcoming('Next lab').querySelector('.countdown').textContent).toBe('3d 04h 29m 59s');
+
+        // 9:56 AM: the lecture is over and its row is dimmed
+        page.clock.tick(26 * 60 * 1000);
+        expect(upcoming('Next lecture').querySelector('strong').textContent).not.toMatch(/^Lecture 15:/);
+        expect(upcoming('Next lecture').querySelector('.countdown').textContent).not.toBe('in progress');
+        const row = [...page.document.querySelectorAll('#lectures tbody tr')].find(candidate => candidate.textContent.includes('30-Sep-2025'));
+        expect(row.classList.contains('past-row')).toBe(true);
+        expect(row.classList.contains('current-week-row')).toBe(true);
+    });
+});
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * Loads newssd.html into jsdom the way a browser would: the page's own scripts
+ * run from disk, in page order, with fake timers installed on the page before
+ * the first of them. Nothing goes to the network: schedule.json is served from
+ * disk and the CDN stylesheets are answered empty.
+ *
+ * jsdom has no layout, IntersectionObserver, matchMedia or PerformanceObserver,
+ * so the page gets controllable stand-ins for them (see loadPage's result).
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+
+// Tuesday 30 September 2025, 09:30 campus time (UTC+5:30): mid-semester, during a lecture week
+const DEFAULT_NOW = Date.UTC(2025, 8, 30, 4, 0);
+
+/**
+ * Serves the site's files from disk; anything from another origin is empty
+ */
+class LocalResources extends ResourceLoader {
+    /**
+     * @param {Array} blocked - URLs that fail to load, matched by prefix (an ad-blocker, an outage)
+     */
+    constructor(blocked) {
+        super();
+        this.blocked = blocked;
+    }
+
+    fetch(url) {
+        if (this.blocked.some(prefix => url.startsWith(new URL(prefix, ORIGIN + '/').href))) {
+            return Promise.reject(new Error(`Blocked: ${url}`));
+        }
+        const { origin, pathname } = new URL(url);
+        if (origin !== ORIGIN) return Promise.resolve(Buffer.alloc(0));
+        return fs.promises.readFile(path.join(ROOT, decodeURIComponent(pathname)));
+    }
+}
+
+/**
+ * fetch() for the page, answering from disk
+ * @param {Object} overrides - { 'schedule.json': body or Error } to replace a file's response
+ * @returns {Function} - fetch
+ */
+function createFetch(overrides) {
+    return function(url) {
+        const file = new URL(url, ORIGIN + '/').pathname.slice(1);
+        const override = overrides[file];
+
+        if (override instanceof Error) return Promise.reject(override);
+        const fullPath = path.join(ROOT, file);
+        if (override === undefined && !fs.existsSync(fullPath)) {
+            return Promise.resolve(new Response('', { status: 404 }));
+        }
+        const body = override === undefined ? fs.readFileSync(fullPath) : JSON.stringify(override);
+        return Promise.resolve(new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    };
+}
+
+/**
+ * IntersectionObserver whose intersections the test decides
+ * @param {Array} observers - Receives every observer the page creates
+ * @returns {Function} - Constructor
+ */
+function createIntersectionObserver(observers) {
+    return class IntersectionObserver {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options || {};
+            this.targets = [];
+            observers.push(this);
+        }
+
+        observe(target) {
+            this.targets.push(target);
+        }
+
+        unobserve(target) {
+            this.targets = this.targets.filter(candidate => candidate !== target);
+        }
+
+        disconnect() {
+            this.targets = [];
+        }
+    };
+}
+
+/**
+ * PerformanceObserver that replays the given entries, by entry type
+ * @param {Object} entries - { paint: [...], resource: [...], ... }
+ * @returns {Function} - Constructor
+ */
+function createPerformanceObserver(entries) {
+    class PerformanceObserver {
+        constructor(callback) {
+            this.callback = callback;
+        }
+
+        observe(options) {
+            const buffered = entries[options.type] || [];
+            if (buffered.length) {
+                queueMicrotask(() => this.callback({ getEntries: () => buffered }));
+            }
+        }
+
+        takeRecords() {
+            return [];
+        }
+
+        disconnect() {}
+    }
+    PerformanceObserver.supportedEntryTypes = Object.keys(entries);
+    return PerformanceObserver;
+}
+
+/**
+ * Loads the page
+ * @param {Object} options
+ *   now           - page clock at load (ms since epoch)
+ *   storage       - localStorage entries present before load
+ *   hash          - URL hash to open, without "#"
+ *   prefersDark   - what prefers-color-scheme: dark answers
+ *   consent       - tracking consent already granted (default true)
+ *   tracker       - options for EventTracker.init(); when given, the tracker starts after a
+ *                   capturing sink is registered, so every event it records is in page.events
+ *   performance   - PerformanceObserver entries by type
+ *   files         - replaced responses for fetch(), by file name
+ *   beforeScripts - inline script run right after theme.js (before the body is parsed)
+ *   blocked       - URLs (or paths of the site) that fail to load, matched by prefix
+ * @returns {Promise<Object>} - { window, document, clock, events, logs, intersect, setColorScheme, scrollTo, settle, close }
+ */
+async function loadPage(options = {}) {
+    let html = fs.readFileSync(path.join(ROOT, 'newssd.html'), 'utf8');
+    if (options.tracker) {
+        html = html.replace('<script src="event_tracker.js">', '<script src="event_tracker.js" data-autostart="false">');
+    }
+    if (options.beforeScripts) {
+        html = html.replace('<script src="theme.js"></script>', `<script src="theme.js"></script><script>${options.beforeScripts}</script>`);
+    }
+
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push({ level, message: args.map(String).join(' ') }));
+    });
+    virtualConsole.on('jsdomError', error => logs.push({ level: 'jsdomError', message: error.message }));
+
+    const observers = [];
+    const mediaListeners = [];
+    const colorScheme = { matches: Boolean(options.prefersDark) };
+    const layout = { top: 0, viewportHeight: 800, documentHeight: 8000 };
+    let clock = null;
+
+    const dom = new JSDOM(html, {
+        url: `${ORIGIN}/newssd.html${options.hash ? '#' + options.hash : ''}`,
+        runScripts: 'dangerously',
+        resources: new LocalResources(options.blocked || []),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            clock = FakeTimers.withGlobal(window).install({
+                now: options.now || DEFAULT_NOW,
+                toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date', 'requestAnimationFrame', 'cancelAnimationFrame']
+            });
+
+            Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            if (options.consent !== false) {
+                window.localStorage.setItem('eventTracker.consent', JSON.stringify({ status: 'granted' }));
+            }
+
+            window.fetch = createFetch(options.files || {});
+            window.TextEncoder = TextEncoder;
+            window.IntersectionObserver = createIntersectionObserver(observers);
+            window.PerformanceObserver = createPerformanceObserver(options.performance || {});
+            window.matchMedia = query => ({
+                media: query,
+                get matches() {
+                    return query === '(prefers-color-scheme: dark)' && colorScheme.matches;
+                },
+                addEventListener: (type, listener) => mediaListeners.push(listener),
+                removeEventListener: () => {}
+            });
+
+            // Scroll metrics come from `layout`, since jsdom doesn't lay the page out
+            Object.defineProperty(window, 'pageYOffset', { get: () => layout.top, configurable: true });
+            Object.defineProperty(window, 'innerHeight', { get: () => layout.viewportHeight, configurable: true });
+            Object.defineProperty(window.HTMLHtmlElement.prototype, 'scrollHeight', { get: () => layout.documentHeight, configurable: true });
+        }
+    });
+    const { window } = dom;
+
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    const page = {
+        window,
+        document: window.document,
+        clock,
+        events: [],
+        logs,
+        layout,
+
+        /**
+         * Lets fetches and other promises on the page finish
+         */
+        async settle() {
+            await clock.tickAsync(0);
+        },
+
+        /**
+         * Reports which observed elements intersect, to every observer the page created
+         * @param {Function} filter - Picks the observer, e.g. one with a rootMargin
+         * @param {Array} ids - Ids of the intersecting elements
+         */
+        intersect(filter, ids) {
+            observers.filter(filter).forEach(observer => {
+                observer.callback(observer.targets.map(target => ({ target, isIntersecting: ids.includes(target.id) })));
+            });
+        },
+
+        /**
+         * Switches the operating system's colour scheme
+         * @param {boolean} dark - Dark mode on
+         */
+        setColorScheme(dark) {
+            colorScheme.matches = dark;
+            mediaListeners.forEach(listener => listener({ matches: dark }));
+        },
+
+        /**
+         * Scrolls the page and lets the next animation frame run
+         * @param {number} top - Scroll position (px)
+         */
+        scrollTo(top) {
+            layout.top = top;
+            window.dispatchEvent(new window.Event('scroll'));
+            clock.tick(16);
+        },
+
+        close() {
+            clock.uninstall();
+            window.close();
+        }
+    };
+
+    if (options.tracker) {
+        window.EventTracker.use({
+            name: 'test-capture',
+            setup(context) {
+                context.addSink({ name: 'events', send: event => page.events.push(event) });
+            }
+        });
+        window.EventTracker.init(Object.assign({ console: false, persistQueue: false, validation: 'flag' }, options.tracker));
+    }
+
+    await page.settle();
+    return page;
+}
+
+module.exports = { loadPage, DEFAULT_NOW, ROOT };
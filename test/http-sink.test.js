@@ -0,0 +1,133 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+const ENDPOINT = 'http://localhost/collect';
+
+/**
+ * In-memory stand-in for the IndexedDB store (tracker/storage.js); like the
+ * real one, a claim returns every record this page holds, sent or not
+ * @param {Object} removal - { delay, setTimeout }: how long (ms, on the page clock) a remove() takes to commit
+ * @returns {Object} - Event store
+ */
+function createFakeStore(removal) {
+    let records = [];
+
+    return {
+        put(event) {
+            records.push(event);
+            return Promise.resolve();
+        },
+        remove(ids) {
+            return new Promise(resolve => removal.setTimeout(() => {
+                records = records.filter(event => !ids.includes(event.id));
+                resolve();
+            }, removal.delay));
+        },
+        renew: () => Promise.resolve(),
+        claim: limit => Promise.resolve(records.slice(0, limit)),
+        markSent: () => {},
+        clear() {
+            records = [];
+            return Promise.resolve();
+        },
+        get size() {
+            return records.length;
+        }
+    };
+}
+
+describe('HTTP sink', () => {
+    let page;
+    let store;
+    let removal;
+    let sent;
+
+    beforeEach(async () => {
+        page = await loadPage({ tracker: {} });
+        removal = { delay: 0, setTimeout: (fn, ms) => page.window.setTimeout(fn, ms) };
+        store = createFakeStore(removal);
+        sent = [];
+
+        const Storage = page.window.EventTrackerModules.storage;
+        Storage.isSupported = () => true;
+        Storage.createEventStore = () => store;
+
+        // The collector takes a while to answer, so a batch is still in flight when the tracker restarts
+        page.window.fetch = (url, request) => {
+            sent.push(...JSON.parse(request.body).events.map(event => event.id));
+            return new Promise(resolve => page.window.setTimeout(() => resolve(new Response('', { status: 200 })), 500));
+        };
+
+        page.window.EventTracker.configure({ endpoint: ENDPOINT, persistQueue: true, batchSize: 5, flushInterval: 1000 });
+        await page.settle();
+    });
+
+    afterEach(() => page.close());
+
+    function trackSome(count) {
+        for (let i = 0; i < count; i++) {
+            page.window.EventTracker.trackCustomEvent('schedule_search', { query: 'lab', matches: i });
+        }
+    }
+
+    async function deliverAll() {
+        for (let i = 0; i < 10; i++) {
+            await page.clock.tickAsync(1000);
+        }
+    }
+
+    function expectSentOnce() {
+        expect(sent.length).toBeGreaterThan(0);
+        expect(new Set(sent).size).toBe(sent.length);
+        expect(store.size).toBe(0);
+    }
+
+    test('a restart sends queued and in-flight events once', async () => {
+        trackSome(7);
+
+        page.window.EventTracker.stop();
+        page.window.EventTracker.start();
+        await deliverAll();
+
+        expectSentOnce();
+    });
+
+    test('a replay while a delivered batch is still being deleted does not send it again', async () => {
+        removal.delay = 2000;
+        page.window.fetch = (url, request) => {
+            sent.push(...JSON.parse(request.body).events.map(event => event.id));
+            return Promise.resolve(new Response('', { status: 200 }));
+        };
+
+        trackSome(5);
+        await page.settle();
+        // Delivered, not yet deleted
+        expect(sent).toHaveLength(5);
+        expect(store.size).toBe(5);
+
+        page.window.EventTracker.flush();
+        await deliverAll();
+
+        expectSentOnce();
+    });
+
+    test('reconfiguring sends queued and in-flight events once, to the new endpoint', async () => {
+        trackSome(7);
+        const urls = [];
+        const fetch = page.window.fetch;
+        page.window.fetch = (url, request) => {
+            urls.push(url);
+            return fetch(url, request);
+        };
+
+        page.window.EventTracker.configure({ endpoint: ENDPOINT + '/v2', batchSize: 3 });
+        trackSome(2);
+        await deliverAll();
+
+        expectSentOnce();
+        expect(sent.length).toBe(page.events.filter(event => event.event === 'CUSTOM_EVENT').length);
+        expect(urls.length).toBeGreaterThan(0);
+        urls.forEach(url => expect(url).toBe(ENDPOINT + '/v2'));
+    });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+/**
+ * Page script that stands in for the Notification API, which jsdom lacks
+ * @param {string} form - 'promise' for current browsers, 'callback' for older Safari
+ * @returns {string} - Script source
+ */
+function notificationApi(form) {
+    const answer = form === 'promise'
+        ? 'return Promise.resolve("granted");'
+        : 'setTimeout(() => callback("granted"), 0);';
+
+    return `window.Notification = class Notification {};
+        Notification.permission = 'default';
+        Notification.requestPermission = function(callback) {
+            Notification.permission = 'granted';
+            ${answer}
+        };`;
+}
+
+describe('deadline notifications', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    ['promise', 'callback'].forEach(form => {
+        test(`can be turned on where requestPermission answers with a ${form}`, async () => {
+            page = await loadPage({ beforeScripts: notificationApi(form) });
+            const button = page.document.getElementById('deadline-notifications');
+            expect(button.hidden).toBe(false);
+            expect(button.getAttribute('aria-pressed')).toBe('false');
+
+            button.click();
+            await page.clock.tickAsync(0);
+
+            expect(button.getAttribute('aria-pressed')).toBe('true');
+            expect(page.logs.filter(log => log.level === 'jsdomError')).toEqual([]);
+        });
+    });
+});
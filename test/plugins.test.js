@@ -0,0 +1,84 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+describe('plugins', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    // Rejecting invalid events is the tracker's default; the other tests only flag them
+    async function load() {
+        page = await loadPage({ tracker: { validation: 'reject' } });
+        page.document.addEventListener('click', event => event.preventDefault());
+        page.events.length = 0;
+    }
+
+    function enrich(change) {
+        page.window.EventTracker.use({
+            name: 'course',
+            setup(context) {
+                context.addMiddleware(change);
+            }
+        });
+    }
+
+    test('events enriched under extensions reach the sinks', async () => {
+        await load();
+        enrich(event => {
+            event.extensions = Object.assign({}, event.extensions, { courseCode: 'CS6.302', term: 'Monsoon 2025' });
+        });
+
+        page.document.querySelector('.nav-links a[href="#labs"]').click();
+        // A click on course material is also a material_open
+        page.document.querySelector('#lectures tbody a[href^="http"]').click();
+        page.window.EventTracker.trackCustomEvent('schedule_search', { query: 'lab', matches: 3 });
+
+        expect(page.events.map(event => event.event)).toEqual(['CLICK', 'CLICK', 'CUSTOM_EVENT', 'CUSTOM_EVENT']);
+        page.events.forEach(event => {
+            expect(event.extensions).toEqual({ courseCode: 'CS6.302', term: 'Monsoon 2025' });
+            expect(event.validationErrors).toBeUndefined();
+        });
+    });
+
+    test('extensions are redacted like the rest of the event', async () => {
+        await load();
+        enrich(event => {
+            event.extensions = { contact: 'ta@example.com' };
+        });
+
+        page.window.EventTracker.trackCustomEvent('help_request', {});
+
+        expect(page.events.map(event => event.extensions)).toEqual([{ contact: '[EMAIL]' }]);
+    });
+
+    test('a middleware that throws leaves the event as it was', async () => {
+        await load();
+        const warn = jest.spyOn(page.window.console, 'warn').mockImplementation(() => {});
+        enrich(event => {
+            event.extensions = { courseCode: 'CS6.302' };
+            event.payload.data.query = 'changed';
+            throw new Error('lookup failed');
+        });
+
+        page.window.EventTracker.trackCustomEvent('schedule_search', { query: 'lab', matches: 3 });
+
+        expect(page.events).toHaveLength(1);
+        expect(page.events[0].extensions).toBeUndefined();
+        expect(page.events[0].payload.data).toEqual({ query: 'lab', matches: 3 });
+        expect(warn).toHaveBeenCalledWith('[EventTracker] Plugin "course" failed in middleware and was skipped:', expect.any(Error));
+    });
+
+    test('fields added outside extensions fail validation', async () => {
+        await load();
+        const warn = jest.spyOn(page.window.console, 'warn').mockImplementation(() => {});
+        enrich(event => {
+            event.payload.courseCode = 'CS6.302';
+        });
+
+        page.window.EventTracker.trackCustomEvent('schedule_search', { query: 'lab', matches: 3 });
+
+        expect(page.events).toEqual([]);
+        expect(warn).toHaveBeenCalledWith('[EventTracker] Invalid CUSTOM_EVENT event dropped:', ['event.payload.courseCode: is not allowed']);
+    });
+});
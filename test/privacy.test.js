@@ -0,0 +1,210 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+const MASK = '***MASKED***';
+
+const FIXTURE = `
+    <form id="login" action="/login" method="post">
+        <input name="username" value="student">
+        <input name="secret" type="password" value="hunter2">
+        <input name="confirmPassword" value="hunter2">
+        <input name="card" autocomplete="cc-number" value="4111111111111111">
+        <input name="code" autocomplete="one-time-code" value="123456">
+        <input name="roll" data-track-mask value="2025201001">
+        <input name="notes" data-track-ignore value="private">
+        <button id="sign-in">Sign in</button>
+    </form>
+    <p id="grade" data-track-mask>Grade: A</p>
+    <div data-track-ignore><button id="hidden-button">Hide</button></div>`;
+
+describe('privacy', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    async function load() {
+        page = await loadPage({ tracker: {} });
+        page.document.addEventListener('submit', event => event.preventDefault());
+        page.document.body.insertAdjacentHTML('beforeend', FIXTURE);
+        page.events.length = 0;
+    }
+
+    function field(name) {
+        return page.document.querySelector(`[name="${name}"]`);
+    }
+
+    function typeInto(name, key) {
+        field(name).dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+        field(name).dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        page.clock.tick(500);
+    }
+
+    test('classifies elements as recorded, masked or ignored', async () => {
+        await load();
+        const { getElementPolicy } = page.window.EventTrackerModules.privacy;
+
+        expect(getElementPolicy(field('username'))).toBe('record');
+        ['secret', 'confirmPassword', 'card', 'code', 'roll'].forEach(name => {
+            expect(getElementPolicy(field(name))).toBe('mask');
+        });
+        expect(getElementPolicy(field('notes'))).toBe('ignore');
+        // Inherited from an ancestor
+        expect(getElementPolicy(page.document.getElementById('hidden-button'))).toBe('ignore');
+    });
+
+    test('form submissions mask sensitive fields and leave out ignored ones', async () => {
+        await load();
+
+        page.document.getElementById('login').requestSubmit();
+
+        const [submit] = page.events.filter(event => event.event === 'FORM_SUBMIT');
+        expect(submit.payload.fields).toEqual({
+            username: 'student',
+            secret: MASK,
+            confirmPassword: MASK,
+            card: MASK,
+            code: MASK,
+            roll: MASK
+        });
+        expect(JSON.stringify(page.events)).not.toContain('hunter2');
+    });
+
+    test('keys typed into sensitive fields are not recorded', async () => {
+        await load();
+
+        ['secret', 'confirmPassword', 'card', 'code', 'roll', 'notes'].forEach(name => typeInto(name, 'Enter'));
+        typeInto('username', 'Enter');
+
+        const keys = page.events.filter(event => event.event === 'KEYPRESS');
+        expect(keys.map(event => event.payload.target.name)).toEqual(['username']);
+    });
+
+    test('characters typed into any field are not recorded key by key', async () => {
+        await load();
+        const search = page.document.getElementById('schedule-search-input');
+        const press = (key, options = {}) => search.dispatchEvent(new page.window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true }, options)));
+
+        [...'a@b.co', ' ', 'é'].forEach(key => press(key));
+        press('Backspace');
+        press('Enter');
+        press('a', { ctrlKey: true });
+
+        const keys = page.events.filter(event => event.event === 'KEYPRESS').map(event => event.payload);
+        expect(keys.map(payload => payload.key)).toEqual(['Backspace', 'Enter', 'a']);
+        expect(keys[2].ctrlKey).toBe(true);
+        expect(keys.every(payload => payload.target.id === 'schedule-search-input')).toBe(true);
+    });
+
+    test('keys pressed outside fields are still recorded', async () => {
+        await load();
+
+        page.document.body.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'j', bubbles: true }));
+        page.document.querySelector('input[name="theme"]').dispatchEvent(new page.window.KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+
+        const keys = page.events.filter(event => event.event === 'KEYPRESS');
+        expect(keys.map(event => [event.payload.key, event.payload.target.tagName])).toEqual([['j', 'BODY'], [' ', 'INPUT']]);
+    });
+
+    test('sensitive field values are masked in INPUT_CHANGE', async () => {
+        await load();
+
+        typeInto('secret', 'x');
+        typeInto('notes', 'x');
+        typeInto('username', 's');
+
+        const changes = page.events.filter(event => event.event === 'INPUT_CHANGE').map(event => event.payload.target);
+        expect(changes).toEqual([
+            expect.objectContaining({ name: 'secret', type: 'password', value: MASK }),
+            expect.objectContaining({ name: 'username', value: 'student' })
+        ]);
+    });
+
+    test('clicks on masked elements hide their text; ignored elements are not recorded', async () => {
+        await load();
+
+        page.document.getElementById('grade').click();
+        page.document.getElementById('hidden-button').click();
+
+        const clicks = page.events.filter(event => event.event === 'CLICK');
+        expect(clicks).toHaveLength(1);
+        expect(clicks[0].payload.target).toEqual(expect.objectContaining({ id: 'grade', text: MASK }));
+    });
+
+    test('personal data is redacted from recorded text', async () => {
+        await load();
+        field('username').value = 'student@example.com';
+
+        page.document.getElementById('login').requestSubmit();
+
+        const [submit] = page.events.filter(event => event.event === 'FORM_SUBMIT');
+        expect(submit.payload.fields.username).toBe('[EMAIL]');
+    });
+
+    test('phone numbers are redacted with or without +91 or a leading 0', async () => {
+        await load();
+
+        page.window.EventTracker.trackCustomEvent('contact', {
+            bare: 'call 9876543210',
+            trunk: 'call 09876543210',
+            trunkSpaced: '098765 43210',
+            country: '+91 98765 43210',
+            countryDashed: '+91-9876543210',
+            longerNumber: 'order 129876543210999'
+        });
+
+        const [contact] = page.events.filter(event => event.event === 'CUSTOM_EVENT');
+        expect(contact.payload.data).toEqual({
+            bare: 'call [PHONE]',
+            trunk: 'call [PHONE]',
+            trunkSpaced: '[PHONE]',
+            country: '[PHONE]',
+            countryDashed: '[PHONE]',
+            longerNumber: 'order 129876543210999'
+        });
+    });
+
+    test('allowing tracking under Do Not Track still records nothing', async () => {
+        page = await loadPage({
+            consent: false,
+            tracker: { trackers: { replay: true } },
+            performance: { paint: [{ name: 'first-contentful-paint', startTime: 812.4 }] },
+            beforeScripts: "Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });"
+        });
+        const observed = [];
+        const Observer = page.window.PerformanceObserver;
+        page.window.PerformanceObserver = class extends Observer {
+            observe(options) {
+                observed.push(options.type);
+                super.observe(options);
+            }
+        };
+
+        page.window.EventTracker.grantConsent();
+        page.document.body.click();
+        page.clock.tick(10000);
+        page.window.EventTracker.flush();
+
+        expect(page.window.EventTracker.getConsentStatus()).toBe('denied');
+        expect(observed).toEqual([]);
+        expect(page.events).toEqual([]);
+    });
+
+    test('the footer button withdraws consent and asks again', async () => {
+        await load();
+        const button = page.document.getElementById('analytics-consent');
+        expect(button.hidden).toBe(false);
+        expect(page.document.querySelector('[aria-label="Usage analytics consent"]')).toBeNull();
+
+        button.click();
+        expect(page.window.EventTracker.getConsentStatus()).toBe('denied');
+        page.document.body.click();
+        expect(page.events.filter(event => event.event === 'CLICK')).toHaveLength(0);
+
+        const banner = page.document.querySelector('[aria-label="Usage analytics consent"]');
+        expect(banner).not.toBeNull();
+        [...banner.querySelectorAll('button')].find(candidate => candidate.textContent === 'Allow').click();
+        expect(page.window.EventTracker.getConsentStatus()).toBe('granted');
+        expect(page.document.querySelector('[aria-label="Usage analytics consent"]')).toBeNull();
+    });
+});
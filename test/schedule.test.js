@@ -0,0 +1,38 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+const schedule = require('../schedule.json');
+
+describe('schedule', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    // A copy of schedule.json with one entry changed
+    function withLecture(number, changes) {
+        const copy = JSON.parse(JSON.stringify(schedule));
+        Object.assign(copy.lectures.entries.find(entry => entry.number === number), changes);
+        return copy;
+    }
+
+    test('schedule.json loads without warnings', async () => {
+        page = await loadPage();
+
+        expect(page.window.validateSchedule(schedule)).toEqual([]);
+        expect(page.logs.filter(log => log.message.startsWith('[Schedule]'))).toEqual([]);
+    });
+
+    test('a day that does not match its date is reported', async () => {
+        page = await loadPage();
+
+        expect(page.window.validateSchedule(withLecture(2, { day: 'Friday' }))).toEqual(['lectures #2: 2025-08-05 is a Tuesday, not a Friday']);
+    });
+
+    test('a session outside the meeting days is reported unless it says why', async () => {
+        page = await loadPage();
+        const thursday = { date: '2025-08-07', day: 'Thursday' };
+
+        expect(page.window.validateSchedule(withLecture(2, thursday))).toEqual(['lectures #2: 2025-08-07 is a Thursday; lectures meet on Tuesday and Friday']);
+        expect(page.window.validateSchedule(withLecture(2, Object.assign({ outsideMeetingDays: 'Swapped with a lab' }, thursday)))).toEqual([]);
+    });
+});
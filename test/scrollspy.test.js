@@ -0,0 +1,90 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+// The scrollspy's observer is the one watching the band under the nav
+const spyObserver = observer => Boolean(observer.options.rootMargin);
+
+describe('scrollspy', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    function activeLinks() {
+        return [...page.document.querySelectorAll('.nav-links a.active')].map(link => link.getAttribute('href'));
+    }
+
+    test('highlights the link of the section crossing the band', async () => {
+        page = await loadPage();
+
+        page.intersect(spyObserver, ['about']);
+        expect(activeLinks()).toEqual(['#about']);
+
+        // Of two sections in the band, the lower one has just been scrolled to
+        page.intersect(spyObserver, ['lectures', 'labs']);
+        expect(activeLinks()).toEqual(['#labs']);
+        expect(page.document.querySelector('a[href="#labs"]').getAttribute('aria-current')).toBe('location');
+        expect(page.document.querySelector('a[href="#about"]').hasAttribute('aria-current')).toBe(false);
+    });
+
+    test('the last section is current at the bottom of the page', async () => {
+        page = await loadPage();
+        page.intersect(spyObserver, ['exams']);
+
+        page.scrollTo(page.layout.documentHeight - page.layout.viewportHeight);
+
+        expect(activeLinks()).toEqual(['#staff']);
+        expect(page.document.querySelector('a[href="#staff"]').style.getPropertyValue('--section-progress')).toBe('1');
+    });
+
+    test('shows the scroll-to-top button once the page is scrolled', async () => {
+        page = await loadPage();
+        const button = page.document.getElementById('scrollTopBtn');
+        // The page draws the button on its first frame
+        page.clock.tick(16);
+        expect(button.style.display).toBe('none');
+
+        page.scrollTo(500);
+        expect(button.style.display).toBe('block');
+
+        page.scrollTo(0);
+        expect(button.style.display).toBe('none');
+    });
+
+    test('measures the page once per frame however many scroll events arrive', async () => {
+        page = await loadPage();
+        const subscriber = jest.fn();
+        page.window.EventTrackerModules.scroll.getScrollSignal().subscribe(subscriber);
+
+        page.layout.top = 300;
+        for (let i = 0; i < 5; i++) page.window.dispatchEvent(new page.window.Event('scroll'));
+        page.clock.tick(16);
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+        expect(subscriber).toHaveBeenCalledWith(expect.objectContaining({ top: 300, direction: 'down', atBottom: false }));
+    });
+
+    test('the URL follows the section only after the visitor scrolls', async () => {
+        page = await loadPage({ hash: 'labs' });
+
+        page.intersect(spyObserver, ['lectures']);
+        expect(page.window.location.hash).toBe('#labs');
+
+        page.scrollTo(1200);
+        expect(page.window.location.hash).toBe('#lectures');
+
+        // Back at the top the hash is cleared rather than pointing at the header
+        page.intersect(spyObserver, ['home']);
+        expect(page.window.location.hash).toBe('');
+    });
+
+    test('a search in the URL is kept while scrolling', async () => {
+        page = await loadPage({ hash: 'search=lab' });
+
+        page.scrollTo(1200);
+        page.intersect(spyObserver, ['labs']);
+
+        expect(activeLinks()).toEqual(['#labs']);
+        expect(page.window.location.hash).toBe('#search=lab');
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+const FIXTURE = `
+    <div id="fixture">
+        <ul class="menu main">
+            <li><a href="#one">One</a></li>
+            <li><a href="#two">Two</a><span>note</span></li>
+        </ul>
+        <section data-track-id='say "hi" \\ bye'>
+            <p>First</p>
+            <p>Second <em>word</em></p>
+        </section>
+        <div class="card lecture"><b>Lecture</b></div>
+        <div class="card lab"><b>Lab</b></div>
+    </div>`;
+
+describe('getCSSSelector and getXPath', () => {
+    let page;
+    let helpers;
+
+    beforeAll(async () => {
+        page = await loadPage();
+        page.document.body.insertAdjacentHTML('beforeend', FIXTURE);
+        // Plugins are lent the helpers the tracker describes elements with
+        page.window.EventTracker.use({
+            name: 'helpers',
+            setup(context) {
+                helpers = context.helpers;
+            }
+        });
+    });
+
+    afterAll(() => page.close());
+
+    function $(selector) {
+        return page.document.querySelector(selector);
+    }
+
+    // The element an XPath points at
+    function evaluate(xpath) {
+        return page.document.evaluate(xpath, page.document, null, page.window.XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    }
+
+    test('an element with an id is selected by it', () => {
+        expect(helpers.getCSSSelector($('#fixture'))).toBe('#fixture');
+        expect(helpers.getXPath($('#fixture'))).toBe('//*[@id="fixture"]');
+    });
+
+    test('paths stop at the nearest ancestor with an id', () => {
+        const link = $('#fixture li:nth-child(2) a');
+
+        expect(helpers.getCSSSelector(link)).toBe('#fixture > ul.menu.main > li:nth-of-type(2) > a');
+        expect(helpers.getXPath(link)).toBe('//*[@id="fixture"]/ul[1]/li[2]/a[1]');
+    });
+
+    test('siblings of the same type are told apart; an only child of its type is not numbered', () => {
+        expect(helpers.getCSSSelector($('#fixture li:nth-child(1) a'))).toBe('#fixture > ul.menu.main > li:nth-of-type(1) > a');
+        expect(helpers.getCSSSelector($('#fixture span'))).toBe('#fixture > ul.menu.main > li:nth-of-type(2) > span');
+    });
+
+    test('siblings their classes tell apart are not numbered, so inserting one leaves the others alone', () => {
+        const lab = $('#fixture .lab b');
+        expect(helpers.getCSSSelector(lab)).toBe('#fixture > div.card.lab > b');
+
+        $('#fixture .lecture').insertAdjacentHTML('beforebegin', '<div class="card tutorial"><b>Tutorial</b></div>');
+        expect(helpers.getCSSSelector(lab)).toBe('#fixture > div.card.lab > b');
+        $('#fixture .tutorial').remove();
+    });
+
+    test('data-track-id names an element, quotes and backslashes escaped', () => {
+        const section = $('#fixture section');
+        const selector = '[data-track-id="say \\"hi\\" \\\\ bye"]';
+
+        expect(helpers.getCSSSelector(section)).toBe(selector);
+        expect(helpers.getCSSSelector($('#fixture em'))).toBe(selector + ' > p:nth-of-type(2) > em');
+    });
+
+    test('elements outside any id are located from the document root', () => {
+        const paragraph = $('footer p');
+
+        expect(helpers.getCSSSelector(paragraph)).toBe('html > body > footer > p:nth-of-type(1)');
+        expect(helpers.getXPath(paragraph)).toBe('/html/body/footer[1]/p[1]');
+    });
+
+    test('selectors and XPaths across the page find the element they were made for', () => {
+        const elements = [...page.document.querySelectorAll('nav *, #lectures thead *, #lectures tbody tr:first-child *, #labs tbody tr:last-child *, footer *, #fixture *')];
+        expect(elements.length).toBeGreaterThan(50);
+
+        elements.forEach(element => {
+            const selector = helpers.getCSSSelector(element);
+            expect({ selector, found: page.document.querySelector(selector) === element }).toEqual({ selector, found: true });
+
+            const xpath = helpers.getXPath(element);
+            expect({ xpath, found: evaluate(xpath) === element }).toEqual({ xpath, found: true });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+describe('theme', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    function checkedPreference() {
+        return page.document.querySelector('input[name="theme"]:checked').value;
+    }
+
+    test('follows the operating system until a theme is picked', async () => {
+        page = await loadPage({ prefersDark: true });
+
+        expect(page.document.documentElement.dataset.theme).toBe('dark');
+        expect(checkedPreference()).toBe('system');
+
+        page.setColorScheme(false);
+        expect(page.document.documentElement.dataset.theme).toBe('light');
+    });
+
+    test('a picked theme is saved and ignores the operating system', async () => {
+        page = await loadPage();
+
+        page.document.getElementById('theme-high-contrast').click();
+        expect(page.window.localStorage.getItem('theme')).toBe('high-contrast');
+        expect(page.document.documentElement.dataset.theme).toBe('high-contrast');
+
+        page.setColorScheme(true);
+        expect(page.document.documentElement.dataset.theme).toBe('high-contrast');
+    });
+
+    test('the saved theme is applied before the body is parsed', async () => {
+        page = await loadPage({
+            storage: { theme: 'dark' },
+            beforeScripts: 'window.themeBeforeBody = document.documentElement.dataset.theme;'
+        });
+
+        expect(page.window.themeBeforeBody).toBe('dark');
+        expect(checkedPreference()).toBe('dark');
+    });
+
+    test('a theme saved by an older version of the page still loads', async () => {
+        page = await loadPage({ storage: { theme: 'light' }, prefersDark: true });
+
+        expect(page.document.documentElement.dataset.theme).toBe('light');
+        expect(checkedPreference()).toBe('light');
+    });
+
+    test('an unknown saved value falls back to the system theme', async () => {
+        page = await loadPage({ storage: { theme: 'sepia' }, prefersDark: true });
+
+        expect(page.document.documentElement.dataset.theme).toBe('dark');
+        expect(checkedPreference()).toBe('system');
+    });
+
+    test('a theme picked in another tab is applied', async () => {
+        page = await loadPage();
+
+        page.window.localStorage.setItem('theme', 'dark');
+        page.window.dispatchEvent(new page.window.StorageEvent('storage', { key: 'theme' }));
+
+        expect(page.document.documentElement.dataset.theme).toBe('dark');
+        expect(checkedPreference()).toBe('dark');
+    });
+
+    test('theme changes are reported to the tracker', async () => {
+        page = await loadPage({ tracker: {} });
+
+        page.document.getElementById('theme-dark').click();
+        page.document.getElementById('theme-system').click();
+        page.setColorScheme(true);
+
+        const changes = page.events
+            .filter(event => event.event === 'CUSTOM_EVENT' && event.payload.name === 'theme_change')
+            .map(event => event.payload.data);
+        expect(changes).toEqual([
+            { preference: 'dark', previousPreference: 'system', theme: 'dark', previous: 'light', source: 'user' },
+            { preference: 'system', previousPreference: 'dark', theme: 'light', previous: 'dark', source: 'user' },
+            { preference: 'system', previousPreference: 'system', theme: 'dark', previous: 'light', source: 'system' }
+        ]);
+    });
+
+    test('a change of preference is reported even when the theme stays the same', async () => {
+        page = await loadPage({ storage: { theme: 'light' }, tracker: {} });
+
+        page.document.getElementById('theme-system').click();
+        page.setColorScheme(true);
+        page.document.getElementById('theme-dark').click();
+
+        const changes = page.events
+            .filter(event => event.event === 'CUSTOM_EVENT' && event.payload.name === 'theme_change')
+            .map(event => event.payload.data);
+        expect(changes).toEqual([
+            { preference: 'system', previousPreference: 'light', theme: 'light', previous: 'light', source: 'user' },
+            { preference: 'system', previousPreference: 'system', theme: 'dark', previous: 'light', source: 'system' },
+            { preference: 'dark', previousPreference: 'system', theme: 'dark', previous: 'dark', source: 'user' }
+        ]);
+    });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { loadPage } = require('./helpers/page');
+
+describe('debounce and throttle timing', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    function eventsOf(type) {
+        return page.events.filter(event => event.event === type);
+    }
+
+    function type(input, value) {
+        input.value = value;
+        input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    }
+
+    function moveMouse(clientX, clientY) {
+        page.document.body.dispatchEvent(new page.window.MouseEvent('mousemove', { bubbles: true, clientX, clientY }));
+    }
+
+    test('input is recorded once typing has paused for inputDebounce', async () => {
+        page = await loadPage({ tracker: {} });
+        const input = page.document.getElementById('schedule-search-input');
+
+        type(input, 'p');
+        page.clock.tick(300);
+        type(input, 'py');
+        page.clock.tick(499);
+        expect(eventsOf('INPUT_CHANGE')).toHaveLength(0);
+
+        page.clock.tick(1);
+        expect(eventsOf('INPUT_CHANGE').map(event => event.payload.target.value)).toEqual(['py']);
+    });
+
+    test('inputDebounce can be configured', async () => {
+        page = await loadPage({ tracker: { inputDebounce: 100 } });
+
+        type(page.document.getElementById('schedule-search-input'), 'lab');
+        page.clock.tick(100);
+
+        expect(eventsOf('INPUT_CHANGE')).toHaveLength(1);
+    });
+
+    test('scrolling is recorded once it has settled for scrollThrottle', async () => {
+        page = await loadPage({ tracker: {} });
+
+        page.scrollTo(1000);
+        page.clock.tick(100);
+        // scrollTo lets a frame run; the wait starts on that frame, somewhere in the 16ms it ticked
+        page.scrollTo(2000);
+        page.clock.tick(200 - 16 - 1);
+        expect(eventsOf('SCROLL')).toHaveLength(0);
+
+        page.clock.tick(17);
+        expect(eventsOf('SCROLL').map(event => event.payload.position)).toEqual([2000]);
+    });
+
+    test('scrolling 10% of the page or less is not recorded', async () => {
+        page = await loadPage({ tracker: {} });
+        // 7200px can be scrolled, so 720px is 10%
+        page.scrollTo(720);
+        page.clock.tick(200);
+        expect(eventsOf('SCROLL')).toHaveLength(0);
+
+        page.scrollTo(800);
+        page.clock.tick(200);
+        expect(eventsOf('SCROLL').map(event => event.payload.percentage)).toEqual([11]);
+    });
+
+    test('a re-measure without scrolling is not recorded', async () => {
+        page = await loadPage({ tracker: {} });
+        page.scrollTo(4000);
+        page.clock.tick(200);
+        expect(eventsOf('SCROLL')).toHaveLength(1);
+
+        // e.g. a search hiding rows above the viewport
+        page.window.EventTrackerModules.scroll.getScrollSignal().update();
+        page.clock.tick(1000);
+
+        expect(eventsOf('SCROLL')).toHaveLength(1);
+    });
+
+    test('mouse movement is recorded after mouseThrottle, if it moved far enough', async () => {
+        page = await loadPage({ tracker: {} });
+
+        moveMouse(50, 50);
+        page.clock.tick(1000);
+        expect(eventsOf('MOUSE_MOVE')).toHaveLength(0);
+
+        moveMouse(150, 50);
+        page.clock.tick(999);
+        expect(eventsOf('MOUSE_MOVE')).toHaveLength(0);
+        page.clock.tick(1);
+        expect(eventsOf('MOUSE_MOVE')).toHaveLength(1);
+
+        // 100px from the last recorded position is not far enough
+        moveMouse(150, 150);
+        page.clock.tick(1000);
+        moveMouse(250, 150);
+        page.clock.tick(1000);
+        expect(eventsOf('MOUSE_MOVE').map(event => event.payload.position)).toEqual([
+            { clientX: 150, clientY: 50 },
+            { clientX: 250, clientY: 150 }
+        ]);
+    });
+});
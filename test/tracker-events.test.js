@@ -0,0 +1,370 @@
+'use strict';
+
+const { loadPage, DEFAULT_NOW } = require('./helpers/page');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Every tracked event is wrapped the same way, whoever tracked it
+function expectEnvelope(event) {
+    expect(Object.keys(event).sort()).toEqual(['event', 'id', 'pageViewId', 'payload', 'schemaVersion', 'sequence', 'sessionId', 'timestamp', 'visitorId']);
+    expect(event.id).toMatch(UUID);
+    expect(event.visitorId).toMatch(UUID);
+    expect(event.sessionId).toMatch(UUID);
+    expect(event.pageViewId).toMatch(UUID);
+    expect(Number.isInteger(event.sequence)).toBe(true);
+    expect(new Date(event.timestamp).toISOString()).toBe(event.timestamp);
+}
+
+describe('tracker events', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    function eventsOf(type) {
+        return page.events.filter(event => event.event === type);
+    }
+
+    // The only event of a type; its envelope is checked on the way
+    function only(type) {
+        const events = eventsOf(type);
+        expect(events).toHaveLength(1);
+        expectEnvelope(events[0]);
+        return events[0];
+    }
+
+    // Clicks that would navigate away are cancelled, since jsdom can't navigate
+    function stayOnPage() {
+        page.document.addEventListener('click', event => event.preventDefault());
+        page.document.addEventListener('submit', event => event.preventDefault());
+    }
+
+    test('a page load starts a session and records a page view', async () => {
+        page = await loadPage({ tracker: {} });
+
+        expect(page.events.map(event => event.event)).toEqual(['SESSION_START', 'PAGE_VIEW']);
+        page.events.forEach(expectEnvelope);
+        expect(page.events.map(event => event.sequence)).toEqual([1, 2]);
+        expect(page.events[0].timestamp).toBe(new Date(DEFAULT_NOW).toISOString());
+
+        expect(only('SESSION_START').payload).toEqual({
+            isNewVisitor: true,
+            previousSessionId: null,
+            landingPage: 'http://localhost/newssd.html',
+            referrer: null
+        });
+        expect(only('PAGE_VIEW').payload).toEqual({
+            url: 'http://localhost/newssd.html',
+            path: '/newssd.html',
+            title: page.document.title,
+            referrer: null,
+            viewport: { width: expect.any(Number), height: 800 },
+            screen: { width: expect.any(Number), height: expect.any(Number) }
+        });
+    });
+
+    test('CLICK describes the element, where it was clicked and its styles', async () => {
+        page = await loadPage({ tracker: {} });
+        stayOnPage();
+
+        page.document.querySelector('.nav-links a[href="#labs"]').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, clientX: 40, clientY: 12 }));
+
+        const { payload } = only('CLICK');
+        expect(payload.target).toEqual(expect.objectContaining({
+            tagName: 'A',
+            id: null,
+            text: 'Labs',
+            selector: expect.stringMatching(/ > li:nth-of-type\(\d+\) > a$/),
+            xpath: expect.stringMatching(/\/li\[\d+\]\/a\[1\]$/)
+        }));
+        expect(payload.position).toEqual({ clientX: 40, clientY: 12, pageX: 40, pageY: 12 });
+        expect(Object.keys(payload.computedStyles)).toEqual(['display', 'position', 'backgroundColor', 'color', 'fontSize', 'fontWeight', 'border', 'padding', 'margin', 'width', 'height']);
+    });
+
+    test('opening course material records material_open', async () => {
+        page = await loadPage({ tracker: {} });
+        stayOnPage();
+
+        const link = page.document.querySelector('#lectures tbody a[href^="http"]');
+        link.click();
+
+        const { payload } = only('CUSTOM_EVENT');
+        expect(payload.name).toBe('material_open');
+        expect(payload.data).toEqual(expect.objectContaining({
+            section: 'lectures',
+            number: 1,
+            topic: 'Course Intro - Software Systems',
+            label: link.textContent.trim(),
+            url: link.href
+        }));
+    });
+
+    test('FORM_SUBMIT records the form and its fields', async () => {
+        page = await loadPage({ tracker: {} });
+        stayOnPage();
+        page.document.body.insertAdjacentHTML('beforeend', `
+            <form id="feedback" name="feedback" action="/feedback" method="post">
+                <input name="course" value="CS6.302">
+                <select name="rating"><option selected>5</option></select>
+                <textarea name="comments">Great labs</textarea>
+            </form>`);
+
+        page.document.getElementById('feedback').requestSubmit();
+
+        expect(only('FORM_SUBMIT').payload).toEqual({
+            form: { id: 'feedback', name: 'feedback', action: 'http://localhost/feedback', method: 'POST' },
+            fields: { course: 'CS6.302', rating: '5', comments: 'Great labs' }
+        });
+    });
+
+    test('INPUT_CHANGE records the field and its value', async () => {
+        page = await loadPage({ tracker: {} });
+        const input = page.document.getElementById('schedule-search-input');
+
+        input.value = 'python';
+        input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        page.clock.tick(500);
+
+        expect(only('INPUT_CHANGE').payload.target).toEqual({
+            tagName: 'INPUT',
+            id: 'schedule-search-input',
+            className: null,
+            name: null,
+            type: 'search',
+            value: 'python'
+        });
+    });
+
+    test('SCROLL records the position, percentage and direction', async () => {
+        page = await loadPage({ tracker: {} });
+
+        page.scrollTo(3600);
+        page.clock.tick(200);
+        page.scrollTo(720);
+        page.clock.tick(200);
+
+        expect(eventsOf('SCROLL').map(event => event.payload)).toEqual([
+            { position: 3600, percentage: 50, direction: 'down' },
+            { position: 720, percentage: 10, direction: 'up' }
+        ]);
+        eventsOf('SCROLL').forEach(expectEnvelope);
+    });
+
+    test('MOUSE_MOVE records the pointer position and the element under it', async () => {
+        page = await loadPage({ tracker: {} });
+
+        page.document.getElementById('about').dispatchEvent(new page.window.MouseEvent('mousemove', { bubbles: true, clientX: 300, clientY: 200 }));
+        page.clock.tick(1000);
+
+        expect(only('MOUSE_MOVE').payload).toEqual({
+            position: { clientX: 300, clientY: 200 },
+            target: { tagName: 'SECTION', id: 'about', className: 'content-section', name: null, type: null }
+        });
+    });
+
+    test('KEYPRESS records the key, modifiers and target', async () => {
+        page = await loadPage({ tracker: {} });
+
+        page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'k', code: 'KeyK', ctrlKey: true }));
+
+        expect(only('KEYPRESS').payload).toEqual({
+            key: 'k',
+            code: 'KeyK',
+            ctrlKey: true,
+            shiftKey: false,
+            altKey: false,
+            metaKey: false,
+            target: { tagName: '#document', id: null, className: null, name: null, type: null }
+        });
+    });
+
+    test('VISIBILITY_CHANGE and PAGE_EXIT record time on the page', async () => {
+        page = await loadPage({ tracker: {} });
+        let hidden = false;
+        Object.defineProperty(page.document, 'hidden', { get: () => hidden, configurable: true });
+        Object.defineProperty(page.document, 'visibilityState', { get: () => (hidden ? 'hidden' : 'visible'), configurable: true });
+
+        hidden = true;
+        page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+        hidden = false;
+        page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+        page.window.dispatchEvent(new page.window.Event('beforeunload'));
+
+        const states = eventsOf('VISIBILITY_CHANGE').map(event => event.payload);
+        expect(states).toEqual([
+            { state: 'hidden', engagedTime: expect.any(Number) },
+            { state: 'visible', engagedTime: expect.any(Number) }
+        ]);
+        expect(only('PAGE_EXIT').payload).toEqual({
+            url: 'http://localhost/newssd.html',
+            timeOnPage: expect.any(Number),
+            engagedTime: expect.any(Number)
+        });
+    });
+
+    test('ERROR records uncaught errors and broken in-page links', async () => {
+        page = await loadPage({ tracker: {} });
+        stayOnPage();
+
+        const error = new page.window.Error('Schedule failed');
+        page.window.dispatchEvent(new page.window.ErrorEvent('error', { error, message: error.message, filename: 'http://localhost/script.js', lineno: 12, colno: 5 }));
+        page.document.body.insertAdjacentHTML('beforeend', '<a href="#missing" id="broken">Missing</a>');
+        page.document.getElementById('broken').click();
+
+        const [uncaught, brokenLink] = eventsOf('ERROR').map(event => event.payload);
+        expect(uncaught).toEqual(expect.objectContaining({
+            kind: 'error',
+            message: 'Error: Schedule failed',
+            fingerprint: expect.any(String),
+            count: 1,
+            filename: 'http://localhost/script.js',
+            line: 12,
+            column: 5,
+            resourceUrl: null,
+            breadcrumbs: expect.any(Array)
+        }));
+        expect(brokenLink).toEqual(expect.objectContaining({
+            kind: 'broken_link',
+            message: 'Link target "#missing" does not exist',
+            resourceUrl: 'http://localhost/newssd.html#missing',
+            target: expect.objectContaining({ tagName: 'A', id: 'broken' })
+        }));
+        eventsOf('ERROR').forEach(expectEnvelope);
+    });
+
+    test('ERROR reports stylesheets that failed before the tracker loaded', async () => {
+        const fonts = 'https://fonts.googleapis.com/css2?family=Poppins:wght@600;700&family=Quicksand:wght@400;500;700&display=swap';
+        page = await loadPage({ tracker: {}, blocked: ['https://fonts.googleapis.com'] });
+
+        expect(only('ERROR').payload).toEqual(expect.objectContaining({
+            kind: 'resource',
+            message: 'Failed to load <link> ' + fonts,
+            resourceUrl: fonts,
+            target: expect.objectContaining({ tagName: 'LINK', xpath: '/html/head[1]/link[3]' })
+        }));
+    });
+
+    test('WEB_VITAL, RESOURCE_TIMING and LONG_TASK come from performance entries', async () => {
+        page = await loadPage({
+            tracker: {},
+            performance: {
+                paint: [{ name: 'first-contentful-paint', startTime: 812.4 }],
+                'layout-shift': [{ startTime: 900, value: 0.04, hadRecentInput: false }],
+                resource: [
+                    { name: 'https://fonts.gstatic.com/s/poppins.woff2', initiatorType: 'css', startTime: 120, duration: 80, domainLookupStart: 0, domainLookupEnd: 0, connectStart: 0, connectEnd: 0, requestStart: 130, responseStart: 170, transferSize: 0, encodedBodySize: 0, decodedBodySize: 0 },
+                    { name: 'http://localhost/schedule.json', initiatorType: 'fetch', startTime: 50, duration: 10 }
+                ],
+                longtask: [{ startTime: 1500, duration: 120, attribution: [{ containerType: 'window', name: 'self' }] }]
+            }
+        });
+        page.window.EventTracker.flush();
+
+        expect(eventsOf('WEB_VITAL').map(event => event.payload)).toEqual([
+            { name: 'FCP', value: 812, rating: 'good' },
+            { name: 'CLS', value: 0.04, rating: 'good' }
+        ]);
+        expect(only('RESOURCE_TIMING').payload).toEqual({
+            url: 'https://fonts.gstatic.com/s/poppins.woff2',
+            host: 'fonts.gstatic.com',
+            initiatorType: 'css',
+            startTime: 120,
+            duration: 80,
+            dns: 0,
+            connect: 0,
+            ttfb: 40,
+            transferSize: 0,
+            encodedBodySize: 0,
+            cached: false
+        });
+        expect(only('LONG_TASK').payload).toEqual({ startTime: 1500, duration: 120, attribution: 'window:self' });
+    });
+
+    test('REPLAY hands on the recording in chunks when enabled', async () => {
+        page = await loadPage({ tracker: { trackers: { replay: true } } });
+        page.window.EventTracker.flush();
+
+        const { payload } = only('REPLAY');
+        expect(payload).toEqual({
+            recordingId: expect.stringMatching(UUID),
+            chunk: 0,
+            startedAt: new Date(DEFAULT_NOW).toISOString(),
+            url: 'http://localhost/newssd.html',
+            viewport: { width: expect.any(Number), height: 800 },
+            snapshot: expect.any(Object),
+            events: expect.any(Array)
+        });
+    });
+
+    test('every event matches the published schema', async () => {
+        page = await loadPage({ tracker: { trackers: { replay: true } } });
+        stayOnPage();
+
+        page.document.querySelector('#labs tbody a[href^="http"]').click();
+        page.scrollTo(4000);
+        page.clock.tick(1000);
+        page.window.EventTracker.flush();
+
+        expect(page.events.length).toBeGreaterThan(4);
+        page.events.forEach(event => {
+            expect(event.validationErrors).toBeUndefined();
+            expect(page.window.EventTrackerModules.schema.validate(event)).toEqual({ valid: true, errors: [] });
+        });
+    });
+
+    test('nothing the tracker attached fires after destroy()', async () => {
+        page = await loadPage({ tracker: { trackers: { replay: true } }, beforeScripts: LISTENER_LOG });
+        stayOnPage();
+        page.window.EventTracker.destroy();
+        page.window.trackerListeners.fired = [];
+
+        const { document, window } = page;
+        document.querySelector('.nav-links a[href="#labs"]').click();
+        document.body.dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true, clientX: 5, clientY: 5 }));
+        document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        window.dispatchEvent(new window.ErrorEvent('error', { message: 'after destroy' }));
+        window.dispatchEvent(new window.Event('load'));
+        page.scrollTo(2000);
+        page.clock.tick(10000);
+
+        expect(window.trackerListeners.fired).toEqual([]);
+        expect(window.trackerListeners.attached.map(entry => entry.type)).toEqual([]);
+    });
+});
+
+/**
+ * Page script that notes every listener the tracker adds (any added from
+ * tracker code, but not on behalf of script.js) until it is removed, and
+ * each time one of them runs
+ */
+const LISTENER_LOG = `(function() {
+    const log = window.trackerListeners = { attached: [], fired: [] };
+    const add = EventTarget.prototype.addEventListener;
+    const remove = EventTarget.prototype.removeEventListener;
+    const isCapture = options => typeof options === 'boolean' ? options : Boolean(options && options.capture);
+    const find = (target, type, listener, options) => log.attached.find(entry =>
+        entry.target === target && entry.type === type && entry.listener === listener && entry.capture === isCapture(options));
+
+    EventTarget.prototype.addEventListener = function(type, listener, options) {
+        const stack = new Error().stack;
+        if (!listener || !/\\/(tracker\\/|event_tracker\\.js)/.test(stack) || /\\/script\\.js/.test(stack)) {
+            return add.call(this, type, listener, options);
+        }
+        if (find(this, type, listener, options)) return;
+
+        const entry = { target: this, type, listener, capture: isCapture(options) };
+        entry.wrapper = function(event) {
+            log.fired.push(type);
+            return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+        };
+        log.attached.push(entry);
+        add.call(this, type, entry.wrapper, options);
+    };
+
+    EventTarget.prototype.removeEventListener = function(type, listener, options) {
+        const entry = find(this, type, listener, options);
+        if (!entry) return remove.call(this, type, listener, options);
+
+        log.attached.splice(log.attached.indexOf(entry), 1);
+        remove.call(this, type, entry.wrapper, options);
+    };
+})();`;
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment jsdom
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const publishedSchema = require('../tracker/event-schema.json');
+
+/**
+ * Runs a tracker script in this window, the way its <script> tag would
+ * The modules are browser scripts, not CommonJS: each one registers itself
+ * on window.EventTrackerModules
+ * @param {string} name - Module name, e.g. 'schema' for tracker/schema.js
+ * @returns {Object} - The module
+ */
+function loadModule(name) {
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'tracker', name + '.js'), 'utf8'));
+    return window.EventTrackerModules[name];
+}
+
+// The tracker's modules load on their own too, without the page
+const Schema = loadModule('schema');
+const ScrollSignal = loadModule('scroll');
+const Privacy = loadModule('privacy');
+
+describe('schema', () => {
+    // A valid CLICK event, as the tracker would send it
+    function clickEvent() {
+        return Object.assign(Schema.createEvent('CLICK', {
+            target: { tagName: 'A', id: null, className: null, name: null, type: null },
+            position: { clientX: 1, clientY: 2, pageX: 1, pageY: 2 },
+            computedStyles: {}
+        }), {
+            visitorId: Schema.generateId(),
+            sessionId: Schema.generateId(),
+            pageViewId: Schema.generateId(),
+            sequence: 1
+        });
+    }
+
+    test('event-schema.json is the schema the tracker validates against', () => {
+        expect(Schema.EVENT_SCHEMA).toEqual(publishedSchema);
+        expect(publishedSchema.$id).toBe('urn:event-tracker:event:' + Schema.SCHEMA_VERSION);
+    });
+
+    test('accepts a well-formed event', () => {
+        expect(Schema.validate(clickEvent())).toEqual({ valid: true, errors: [] });
+    });
+
+    test('rejects events that are missing fields or have unknown ones', () => {
+        const missing = clickEvent();
+        delete missing.sessionId;
+        const extra = Object.assign(clickEvent(), { userAgent: 'test' });
+        const wrongPayload = clickEvent();
+        wrongPayload.payload.position.clientX = 'left';
+
+        [missing, extra, wrongPayload].forEach(event => {
+            const result = Schema.validate(event);
+            expect(result.valid).toBe(false);
+            expect(result.errors.length).toBeGreaterThan(0);
+        });
+    });
+
+    test('custom event data has to survive JSON', () => {
+        expect(Schema.validateCustomInput('theme_change', { theme: 'dark' }).valid).toBe(true);
+        expect(Schema.validateCustomInput('', {}).valid).toBe(false);
+        expect(Schema.validateCustomInput('bad', { at: document.body }).valid).toBe(false);
+        expect(Schema.validateCustomInput('bad', { count: NaN }).valid).toBe(false);
+    });
+});
+
+describe('scroll signal', () => {
+    let signal;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        signal = ScrollSignal.createScrollSignal();
+    });
+
+    afterEach(() => jest.useRealTimers());
+
+    function scrollTo(top) {
+        window.pageYOffset = top;
+        window.dispatchEvent(new Event('scroll'));
+    }
+
+    test('hands every subscriber one reading per frame', () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        signal.subscribe(first);
+        signal.subscribe(second);
+
+        scrollTo(0);
+        scrollTo(40);
+        jest.advanceTimersByTime(16);
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenCalledTimes(1);
+        expect(first.mock.calls[0][0]).toBe(second.mock.calls[0][0]);
+        expect(first.mock.calls[0][0]).toEqual(expect.objectContaining({ top: 40, direction: 'down' }));
+    });
+
+    test('stops listening when the last subscriber leaves', () => {
+        const subscriber = jest.fn();
+        const unsubscribe = signal.subscribe(subscriber);
+        unsubscribe();
+
+        scrollTo(80);
+        jest.advanceTimersByTime(16);
+
+        expect(subscriber).not.toHaveBeenCalled();
+    });
+
+    test('a failing subscriber does not stop the others', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const after = jest.fn();
+        signal.subscribe(() => {
+            throw new Error('broken');
+        });
+        signal.subscribe(after);
+
+        signal.update();
+        jest.advanceTimersByTime(16);
+
+        expect(after).toHaveBeenCalledTimes(1);
+        expect(warn).toHaveBeenCalledWith('[EventTracker] A scroll subscriber failed:', expect.any(Error));
+        warn.mockRestore();
+    });
+
+    test('the page shares one signal', () => {
+        expect(ScrollSignal.getScrollSignal()).toBe(ScrollSignal.getScrollSignal());
+    });
+});
+
+describe('privacy', () => {
+    test('password fields are masked wherever they are', () => {
+        document.body.innerHTML = '<input type="password" id="a"><input name="newPassword" id="b"><input id="c">';
+
+        expect(Privacy.getElementPolicy(document.getElementById('a'))).toBe('mask');
+        expect(Privacy.getElementPolicy(document.getElementById('b'))).toBe('mask');
+        expect(Privacy.getElementPolicy(document.getElementById('c'))).toBe('record');
+    });
+});
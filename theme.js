@@ -0,0 +1,29 @@
+// --- Theme ---
+// Loaded in <head>, before anything is drawn, so the saved theme is in place on the first paint
+// instead of the light theme flashing first. The preference is "light", "dark", "high-contrast"
+// or "system", which follows the operating system's light/dark setting. The theme in use is set
+// as data-theme on <html> and style.css does the rest; script.js wires up the picker.
+const THEME_KEY = 'theme';
+const THEME_PREFERENCES = ['light', 'dark', 'system', 'high-contrast'];
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// The saved preference; "system" until the visitor picks one
+function getThemePreference() {
+    const saved = localStorage.getItem(THEME_KEY);
+    return THEME_PREFERENCES.includes(saved) ? saved : 'system';
+}
+
+// The theme a preference comes down to right now
+function resolveTheme(preference) {
+    if (preference !== 'system') return preference;
+    return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+// Switches the page to a preference's theme and returns that theme
+function applyTheme(preference) {
+    const theme = resolveTheme(preference);
+    document.documentElement.dataset.theme = theme;
+    return theme;
+}
+
+applyTheme(getThemePreference());
@@ -0,0 +1,391 @@
+/**
+ * Event Tracker - Error Capture
+ * Listens from the moment the tracker loads, so errors thrown while the rest
+ * of the page's scripts run (script.js included) are caught even though
+ * tracking itself starts later.
+ *
+ * - Uncaught errors and unhandled promise rejections, with the stack parsed
+ *   into frames the same way for Chrome, Firefox and Safari
+ * - Resources that fail to load (stylesheets, scripts, images). The CDN
+ *   stylesheets in <head> fail before this listener exists, so once the page
+ *   has loaded, every stylesheet link left without a sheet is reported too
+ * - In-page links whose #target doesn't exist. Links to other sites can't be
+ *   checked from the page (cross-origin responses are opaque), so they aren't.
+ *
+ * Identical errors share a fingerprint. The first occurrence is reported
+ * straight away; repeats are counted and reported with the new count when
+ * the tracker flushes. Every report carries breadcrumbs: the last tracked
+ * events before the failure, taken from a sink so they are already redacted.
+ */
+(function(window) {
+    'use strict';
+
+    /**
+     * Default monitor settings
+     * breadcrumbs - how many of the latest tracked events a report carries
+     * maxPending  - errors kept while tracking hasn't started or consent is pending
+     * maxFrames   - stack frames kept per error
+     */
+    const MONITOR_DEFAULTS = {
+        breadcrumbs: 20,
+        maxPending: 20,
+        maxFrames: 20
+    };
+
+    // Elements whose failure to load is reported
+    const RESOURCE_TAGS = ['LINK', 'SCRIPT', 'IMG', 'SOURCE', 'VIDEO', 'AUDIO', 'EMBED', 'OBJECT'];
+
+    // Chrome/Edge:    "    at functionName (https://host/file.js:10:5)" or "    at https://host/file.js:10:5"
+    const CHROME_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+    // Firefox/Safari: "functionName@https://host/file.js:10:5"
+    const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)$/;
+
+    /**
+     * Parses a stack trace into frames
+     * @param {string} stack - Error.stack
+     * @param {number} limit - Maximum number of frames
+     * @returns {Array} - [{ function, url, line, column }], innermost first
+     */
+    function parseStack(stack, limit) {
+        if (typeof stack !== 'string') return [];
+
+        const frames = [];
+        stack.split('\n').forEach(function(line) {
+            const match = CHROME_FRAME.exec(line) || GECKO_FRAME.exec(line);
+            if (!match || frames.length >= limit) return;
+
+            frames.push({
+                function: match[1] || '<anonymous>',
+                url: match[2],
+                line: Number(match[3]),
+                column: Number(match[4])
+            });
+        });
+        return frames;
+    }
+
+    /**
+     * Strips the origin, query and hash from a URL so the same file matches on any host
+     * @param {string} url - URL
+     * @returns {string} - Path
+     */
+    function toPath(url) {
+        try {
+            return new URL(url, window.location.href).pathname;
+        } catch (error) {
+            return String(url);
+        }
+    }
+
+    /**
+     * Computes a short, stable hash (32-bit FNV-1a)
+     * @param {string} text - Input
+     * @returns {string} - 8 hex digits
+     */
+    function hash(text) {
+        let value = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            value ^= text.charCodeAt(i);
+            value = Math.imul(value, 0x01000193) >>> 0;
+        }
+        return ('0000000' + value.toString(16)).slice(-8);
+    }
+
+    /**
+     * Fingerprint shared by every occurrence of the same error
+     * Built from the kind, the message with numbers blanked out, and the top
+     * frames' function and file (not line, so a redeploy keeps the group);
+     * without a stack the file the error came from stands in
+     * @param {Object} report - Error report
+     * @returns {string} - Fingerprint
+     */
+    function fingerprint(report) {
+        const frames = report.stack.slice(0, 3).map(function(frame) {
+            return frame.function + '@' + toPath(frame.url);
+        });
+        if (frames.length === 0 && report.filename) {
+            frames.push(toPath(report.filename));
+        }
+        const message = report.message.replace(/\d+/g, '<n>');
+
+        return hash([report.kind, message, report.resourceUrl ? toPath(report.resourceUrl) : '', frames.join('|')].join('\n'));
+    }
+
+    /**
+     * Message and stack from whatever was thrown or rejected
+     * @param {*} reason - Thrown value
+     * @returns {Object} - { message, stack }
+     */
+    function describeThrown(reason) {
+        if (reason instanceof Error || (reason && typeof reason.message === 'string')) {
+            return { message: (reason.name ? reason.name + ': ' : '') + reason.message, stack: reason.stack };
+        }
+
+        let message;
+        try {
+            message = typeof reason === 'string' ? reason : JSON.stringify(reason);
+        } catch (error) {
+            message = String(reason);
+        }
+        return { message: 'Non-error value: ' + message, stack: null };
+    }
+
+    /**
+     * Short description of a tracked event for the breadcrumb trail
+     * @param {Object} eventData - Event envelope
+     * @returns {string|null} - Summary
+     */
+    function summarize(eventData) {
+        const payload = eventData.payload || {};
+
+        if (payload.target) return payload.target.semanticId || payload.target.selector || payload.target.tagName;
+        if (eventData.event === 'CUSTOM_EVENT' || eventData.event === 'WEB_VITAL') return payload.name;
+        if (eventData.event === 'ERROR') return payload.message;
+        if (eventData.event === 'SCROLL') return payload.percentage + '%';
+        if (eventData.event === 'VISIBILITY_CHANGE') return payload.state;
+        return payload.url || null;
+    }
+
+    /**
+     * Creates the error monitor and starts listening
+     * Reports go to options.deliver(payload), which returns false while they
+     * can't be recorded yet (tracking stopped, consent pending); those are
+     * kept and offered again by retry()
+     * @param {Object} options - Overrides for MONITOR_DEFAULTS, plus deliver(payload)
+     *                           and describe(element) returning an element descriptor or null
+     * @returns {Object} - { sink, retry, flush, dispose }
+     */
+    function createErrorMonitor(options) {
+        const settings = Object.assign({}, MONITOR_DEFAULTS, options);
+        const groups = {};
+        let breadcrumbs = [];
+        let pending = [];
+        let reporting = false;
+        // Elements whose failure to load has been reported, so the stylesheet check skips them
+        const failedElements = new WeakSet();
+
+        /**
+         * Groups an error and reports it if it is the first of its kind
+         * @param {Object} details - { kind, message, stack, filename, line, column, resourceUrl, element }
+         */
+        function capture(details) {
+            // An error thrown while reporting an error must not loop
+            if (reporting) return;
+
+            const report = {
+                kind: details.kind,
+                message: String(details.message || 'Unknown error').substring(0, 500),
+                fingerprint: null,
+                count: 1,
+                filename: details.filename || null,
+                line: typeof details.line === 'number' && details.line > 0 ? details.line : null,
+                column: typeof details.column === 'number' && details.column > 0 ? details.column : null,
+                stack: parseStack(details.stack, settings.maxFrames),
+                resourceUrl: details.resourceUrl || null,
+                breadcrumbs: breadcrumbs.slice()
+            };
+
+            if (details.element) {
+                const target = settings.describe(details.element);
+                if (target) report.target = target;
+            }
+
+            report.fingerprint = fingerprint(report);
+
+            const group = groups[report.fingerprint];
+            if (group) {
+                group.count++;
+                group.latest = report;
+                return;
+            }
+
+            groups[report.fingerprint] = { count: 1, reported: 0, latest: report };
+            send(report);
+        }
+
+        /**
+         * Hands a report to the tracker, or keeps it for later
+         * @param {Object} report - Error report
+         */
+        function send(report) {
+            const group = groups[report.fingerprint];
+            const payload = Object.assign({}, report, { count: group.count });
+
+            reporting = true;
+            try {
+                if (settings.deliver(payload)) {
+                    group.reported = group.count;
+                } else if (pending.indexOf(report.fingerprint) === -1 && pending.length < settings.maxPending) {
+                    pending.push(report.fingerprint);
+                }
+            } finally {
+                reporting = false;
+            }
+        }
+
+        /**
+         * Handles uncaught errors and resource load failures
+         * Registered in the capture phase on window, the only place resource errors can be seen
+         * @param {Event} event - ErrorEvent, or a plain Event for resources
+         */
+        function onError(event) {
+            const element = event.target;
+
+            if (element && element !== window && element.nodeType === Node.ELEMENT_NODE) {
+                if (RESOURCE_TAGS.indexOf(element.tagName) !== -1) captureResource(element);
+                return;
+            }
+
+            const thrown = event.error ? describeThrown(event.error) : { message: event.message, stack: null };
+            capture({
+                kind: 'error',
+                message: thrown.message,
+                stack: thrown.stack,
+                filename: event.filename,
+                line: event.lineno,
+                column: event.colno
+            });
+        }
+
+        /**
+         * Reports an element whose resource failed to load
+         * @param {HTMLElement} element - The link, script, img... that failed
+         */
+        function captureResource(element) {
+            const resourceUrl = element.currentSrc || element.src || element.href || element.data || null;
+
+            failedElements.add(element);
+            capture({
+                kind: 'resource',
+                message: 'Failed to load <' + element.tagName.toLowerCase() + '> ' + resourceUrl,
+                resourceUrl: resourceUrl,
+                element: element
+            });
+        }
+
+        /**
+         * Reports stylesheets that failed to load before the monitor was listening
+         * Runs once the page has loaded, when every stylesheet has either loaded
+         * (it has a sheet, even when cross-origin) or failed (it has none)
+         */
+        function checkStylesheets() {
+            const links = document.querySelectorAll('link[rel~="stylesheet"][href]');
+
+            Array.prototype.forEach.call(links, function(link) {
+                // Alternate and disabled stylesheets aren't loaded until they are switched on
+                if (link.sheet || link.disabled || /\balternate\b/i.test(link.rel) || failedElements.has(link)) return;
+                captureResource(link);
+            });
+        }
+
+        /**
+         * Handles promise rejections nobody caught
+         * @param {PromiseRejectionEvent} event - unhandledrejection event
+         */
+        function onUnhandledRejection(event) {
+            const thrown = describeThrown(event.reason);
+            capture({ kind: 'unhandledrejection', message: thrown.message, stack: thrown.stack });
+        }
+
+        /**
+         * Reports in-page links that point at a missing #target
+         * @param {MouseEvent} event - click event
+         */
+        function onClick(event) {
+            const link = event.target && event.target.closest ? event.target.closest('a[href^="#"]') : null;
+            if (!link) return;
+
+            const fragment = link.getAttribute('href').slice(1);
+            let id;
+            try {
+                id = decodeURIComponent(fragment);
+            } catch (error) {
+                id = fragment;
+            }
+
+            // "#" and "#top" scroll to the top of the page by definition
+            if (!id || id.toLowerCase() === 'top' || document.getElementById(id) || document.getElementsByName(id).length) return;
+
+            capture({
+                kind: 'broken_link',
+                message: 'Link target "#' + id + '" does not exist',
+                resourceUrl: link.href,
+                element: link
+            });
+        }
+
+        window.addEventListener('error', onError, true);
+        window.addEventListener('unhandledrejection', onUnhandledRejection);
+        document.addEventListener('click', onClick, true);
+
+        if (document.readyState === 'complete') {
+            checkStylesheets();
+        } else {
+            window.addEventListener('load', checkStylesheets);
+        }
+
+        return {
+            // Keeps the latest tracked events as breadcrumbs
+            sink: {
+                name: 'breadcrumbs',
+                send: function(eventData) {
+                    // Replay chunks are recordings, not steps the visitor took
+                    if (eventData.event === 'REPLAY') return;
+
+                    breadcrumbs.push({ event: eventData.event, timestamp: eventData.timestamp, summary: summarize(eventData) });
+                    if (breadcrumbs.length > settings.breadcrumbs) breadcrumbs.shift();
+                },
+                flush: function() {},
+                // Consent revoked: forget the trail and the errors waiting to be recorded
+                clear: function() {
+                    pending = [];
+                    breadcrumbs = [];
+                }
+            },
+
+            /**
+             * Offers errors caught before they could be recorded again
+             */
+            retry: function() {
+                const waiting = pending;
+                pending = [];
+
+                waiting.forEach(function(key) {
+                    send(groups[key].latest);
+                });
+            },
+
+            /**
+             * Reports the new count of errors that repeated since their last report
+             */
+            flush: function() {
+                Object.keys(groups).forEach(function(key) {
+                    const group = groups[key];
+                    if (group.reported > 0 && group.count > group.reported) {
+                        send(group.latest);
+                    }
+                });
+            },
+
+            /**
+             * Stops listening and forgets the errors waiting to be recorded
+             */
+            dispose: function() {
+                window.removeEventListener('error', onError, true);
+                window.removeEventListener('unhandledrejection', onUnhandledRejection);
+                window.removeEventListener('load', checkStylesheets);
+                document.removeEventListener('click', onClick, true);
+                pending = [];
+                breadcrumbs = [];
+            }
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.errors = {
+        parseStack: parseStack,
+        createErrorMonitor: createErrorMonitor
+    };
+
+})(window);
@@ -0,0 +1,291 @@
+/**
+ * Event Tracker - Click & Scroll Heatmap
+ * A sink that aggregates the page's CLICK and SCROLL events:
+ * - Clicks are counted on a grid over the whole document, with coordinates
+ *   normalized to the document size so layouts of different widths line up
+ * - Clicks are also counted per element selector (which material links get used)
+ * - The deepest scroll position reached is kept
+ *
+ * The aggregate can be drawn as a canvas layered over the page, or exported
+ * as JSON for merging across visitors.
+ */
+(function(window) {
+    'use strict';
+
+    const EXPORT_VERSION = 1;
+
+    /**
+     * Default heatmap settings
+     * columns, rows - grid resolution over the normalized document
+     * radius        - spread (px) of a single click when drawn
+     */
+    const HEATMAP_DEFAULTS = {
+        columns: 50,
+        rows: 100,
+        radius: 30
+    };
+
+    // Colour ramp from cold to hot, indexed by intensity (0-1)
+    const GRADIENT = [
+        { stop: 0.25, color: [0, 0, 255] },
+        { stop: 0.55, color: [0, 255, 255] },
+        { stop: 0.75, color: [0, 255, 0] },
+        { stop: 0.9, color: [255, 255, 0] },
+        { stop: 1, color: [255, 0, 0] }
+    ];
+
+    /**
+     * Current size of the scrollable document
+     * @returns {Object} - { width, height } in px
+     */
+    function getDocumentSize() {
+        const root = document.documentElement;
+        const body = document.body;
+
+        return {
+            width: Math.max(root.scrollWidth, body ? body.scrollWidth : 0, root.clientWidth),
+            height: Math.max(root.scrollHeight, body ? body.scrollHeight : 0, root.clientHeight)
+        };
+    }
+
+    /**
+     * Clamps a number to the 0-1 range
+     * @param {number} value - Input
+     * @returns {number} - Clamped value
+     */
+    function clamp01(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+
+    /**
+     * Colour for an intensity on the ramp
+     * @param {number} intensity - Value between 0 and 1
+     * @returns {Array} - [r, g, b]
+     */
+    function colorAt(intensity) {
+        for (let i = 0; i < GRADIENT.length; i++) {
+            if (intensity <= GRADIENT[i].stop) {
+                const previous = GRADIENT[i - 1] || { stop: 0, color: GRADIENT[0].color };
+                const t = (intensity - previous.stop) / (GRADIENT[i].stop - previous.stop || 1);
+
+                return previous.color.map(function(channel, index) {
+                    return Math.round(channel + (GRADIENT[i].color[index] - channel) * t);
+                });
+            }
+        }
+        return GRADIENT[GRADIENT.length - 1].color;
+    }
+
+    /**
+     * Creates the heatmap aggregator
+     * @param {Object} options - Overrides for HEATMAP_DEFAULTS
+     * @returns {Object} - { sink, show, hide, isShown, exportData }
+     */
+    function createHeatmap(options) {
+        const settings = Object.assign({}, HEATMAP_DEFAULTS, options);
+        let cells = {};
+        let selectors = {};
+        let totalClicks = 0;
+        let maxScrollDepth = 0;
+        let canvas = null;
+
+        /**
+         * Adds a click to the grid and its selector bucket
+         * @param {Object} payload - CLICK payload
+         */
+        function addClick(payload) {
+            const size = getDocumentSize();
+            const x = clamp01(payload.position.pageX / size.width);
+            const y = clamp01(payload.position.pageY / size.height);
+            const column = Math.min(settings.columns - 1, Math.floor(x * settings.columns));
+            const row = Math.min(settings.rows - 1, Math.floor(y * settings.rows));
+            const key = column + ',' + row;
+
+            cells[key] = (cells[key] || 0) + 1;
+            totalClicks++;
+
+            const target = payload.target;
+            const selector = target.selector || target.tagName;
+            if (!selectors[selector]) {
+                selectors[selector] = { selector: selector, semanticId: target.semanticId || null, tagName: target.tagName, text: target.text || null, count: 0 };
+            }
+            selectors[selector].count++;
+        }
+
+        /**
+         * The aggregate as a JSON-serializable object
+         * @returns {Object} - { version, page, generatedAt, grid, totalClicks, selectors, scroll }
+         */
+        function exportData() {
+            return {
+                version: EXPORT_VERSION,
+                page: window.location.pathname,
+                generatedAt: new Date().toISOString(),
+                grid: {
+                    columns: settings.columns,
+                    rows: settings.rows,
+                    // Sparse: only cells that were clicked, as normalized-grid coordinates
+                    cells: Object.keys(cells).map(function(key) {
+                        const parts = key.split(',');
+                        return { column: Number(parts[0]), row: Number(parts[1]), count: cells[key] };
+                    })
+                },
+                totalClicks: totalClicks,
+                selectors: Object.keys(selectors).map(function(selector) {
+                    return Object.assign({}, selectors[selector]);
+                }).sort(function(a, b) {
+                    return b.count - a.count;
+                }),
+                scroll: {
+                    maxDepth: maxScrollDepth
+                }
+            };
+        }
+
+        /**
+         * Draws the heatmap over the document
+         */
+        function render() {
+            const size = getDocumentSize();
+            const context = canvas.getContext && canvas.getContext('2d');
+
+            canvas.width = size.width;
+            canvas.height = size.height;
+            canvas.style.width = size.width + 'px';
+            canvas.style.height = size.height + 'px';
+
+            if (!context) {
+                console.warn('[EventTracker] Canvas is not supported, heatmap not drawn');
+                return;
+            }
+
+            const cellWidth = size.width / settings.columns;
+            const cellHeight = size.height / settings.rows;
+            const maxCount = Object.keys(cells).reduce(function(max, key) {
+                return Math.max(max, cells[key]);
+            }, 0);
+
+            // Stack blurred spots in alpha, then map the accumulated alpha onto the colour ramp
+            context.clearRect(0, 0, size.width, size.height);
+            Object.keys(cells).forEach(function(key) {
+                const parts = key.split(',');
+                const x = (Number(parts[0]) + 0.5) * cellWidth;
+                const y = (Number(parts[1]) + 0.5) * cellHeight;
+                const spot = context.createRadialGradient(x, y, 0, x, y, settings.radius);
+
+                spot.addColorStop(0, 'rgba(0, 0, 0, ' + Math.max(0.15, cells[key] / maxCount) + ')');
+                spot.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                context.fillStyle = spot;
+                context.fillRect(x - settings.radius, y - settings.radius, settings.radius * 2, settings.radius * 2);
+            });
+
+            if (maxCount > 0) {
+                const image = context.getImageData(0, 0, size.width, size.height);
+                const pixels = image.data;
+
+                for (let i = 0; i < pixels.length; i += 4) {
+                    const alpha = pixels[i + 3];
+                    if (alpha === 0) continue;
+
+                    const color = colorAt(alpha / 255);
+                    pixels[i] = color[0];
+                    pixels[i + 1] = color[1];
+                    pixels[i + 2] = color[2];
+                    pixels[i + 3] = Math.min(200, alpha + 60);
+                }
+                context.putImageData(image, 0, 0);
+            }
+
+            drawScrollDepth(context, size);
+        }
+
+        /**
+         * Marks the bottom of the viewport at the deepest scroll position
+         * @param {CanvasRenderingContext2D} context - Drawing context
+         * @param {Object} size - Document size
+         */
+        function drawScrollDepth(context, size) {
+            const scrollable = Math.max(0, size.height - window.innerHeight);
+            const y = Math.min(size.height - 1, window.innerHeight + scrollable * maxScrollDepth / 100);
+
+            context.save();
+            context.strokeStyle = '#F44336';
+            context.lineWidth = 2;
+            context.setLineDash([8, 6]);
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(size.width, y);
+            context.stroke();
+
+            context.fillStyle = '#F44336';
+            context.font = 'bold 13px sans-serif';
+            context.fillText('Max scroll depth: ' + maxScrollDepth + '%', 10, y - 6);
+            context.restore();
+        }
+
+        /**
+         * Layers the heatmap over the page; clicks pass through it
+         */
+        function show() {
+            if (!canvas) {
+                canvas = document.createElement('canvas');
+                canvas.setAttribute('data-track-ignore', '');
+                canvas.setAttribute('aria-hidden', 'true');
+                canvas.style.cssText = 'position: absolute; top: 0; left: 0; z-index: 2147482998; pointer-events: none;';
+                document.body.appendChild(canvas);
+                window.addEventListener('resize', render);
+            }
+            render();
+        }
+
+        /**
+         * Removes the heatmap layer; aggregation continues
+         */
+        function hide() {
+            if (canvas) {
+                window.removeEventListener('resize', render);
+                canvas.remove();
+                canvas = null;
+            }
+        }
+
+        const sink = {
+            name: 'heatmap',
+            send: function(eventData) {
+                if (eventData.event === 'CLICK') {
+                    addClick(eventData.payload);
+                } else if (eventData.event === 'SCROLL') {
+                    maxScrollDepth = Math.max(maxScrollDepth, eventData.payload.percentage);
+                } else {
+                    return;
+                }
+
+                if (canvas) render();
+            },
+            flush: function() {},
+            clear: function() {
+                cells = {};
+                selectors = {};
+                totalClicks = 0;
+                maxScrollDepth = 0;
+                if (canvas) render();
+            }
+        };
+
+        return {
+            sink: sink,
+            show: show,
+            hide: hide,
+            isShown: function() {
+                return !!canvas;
+            },
+            exportData: exportData
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.heatmap = {
+        createHeatmap: createHeatmap
+    };
+
+})(window);
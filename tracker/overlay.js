@@ -0,0 +1,444 @@
+/**
+ * Event Tracker - Debug Overlay
+ * An on-page panel for inspecting tracked events without the developer console.
+ * Open it with Alt+Shift+T or by loading the page with ?tracker-debug.
+ *
+ * - Live stream of events (after redaction), filterable by type and text
+ * - Counter per event type; clicking a counter filters by that type
+ * - Selecting a CLICK outlines the element it came from, found through the
+ *   recorded XPath or CSS selector
+ *
+ * The overlay is a sink, so it only ever shows what the tracker actually
+ * delivered. All of its elements carry data-track-ignore and its shortcut is
+ * swallowed before the tracker sees it, so using it records nothing.
+ */
+(function(window) {
+    'use strict';
+
+    const Transport = window.EventTrackerModules.transport;
+
+    const QUERY_PARAM = 'tracker-debug';
+    const MAX_BUFFERED = 500;
+    const MAX_RENDERED = 200;
+
+    const STYLES = `
+        #et-overlay { position: fixed; top: 70px; right: 16px; width: 400px; max-width: calc(100vw - 32px); height: 70vh;
+            z-index: 2147483000; display: flex; flex-direction: column; background: #1e1e1e; color: #e9ecef;
+            font: 12px/1.4 Menlo, Consolas, monospace; border-radius: 10px; box-shadow: 0 10px 30px rgba(0,0,0,0.4); overflow: hidden; }
+        #et-overlay header { display: flex; align-items: center; justify-content: space-between; padding: 8px 12px; background: #667eea; color: white; }
+        #et-overlay header strong { font-size: 13px; }
+        #et-overlay button { font: inherit; cursor: pointer; border: none; border-radius: 4px; }
+        #et-overlay .et-close { background: transparent; color: white; font-size: 16px; }
+        #et-overlay .et-status { padding: 4px 12px; background: #2b2b2b; color: #adb5bd; }
+        #et-overlay .et-counters { display: flex; flex-wrap: wrap; gap: 4px; padding: 8px 12px; border-bottom: 1px solid #343a40; }
+        #et-overlay .et-counter { color: white; padding: 2px 6px; opacity: 0.85; }
+        #et-overlay .et-counter.et-active { opacity: 1; outline: 2px solid white; }
+        #et-overlay .et-controls { display: flex; gap: 6px; padding: 8px 12px; border-bottom: 1px solid #343a40; }
+        #et-overlay select, #et-overlay input { font: inherit; background: #2b2b2b; color: #e9ecef; border: 1px solid #495057; border-radius: 4px; padding: 3px 6px; }
+        #et-overlay input { flex: 1; min-width: 0; }
+        #et-overlay .et-clear { background: #495057; color: white; padding: 3px 8px; }
+        #et-overlay ol { list-style: none; margin: 0; padding: 0; overflow-y: auto; flex: 1; }
+        #et-overlay li { padding: 6px 12px; border-bottom: 1px solid #2b2b2b; cursor: pointer; }
+        #et-overlay li:hover, #et-overlay li.et-selected { background: #2b2b2b; }
+        #et-overlay .et-badge { display: inline-block; color: white; padding: 0 6px; border-radius: 3px; margin-right: 6px; }
+        #et-overlay .et-time { color: #868e96; margin-right: 6px; }
+        #et-overlay pre { white-space: pre-wrap; word-break: break-all; margin: 6px 0 0; color: #ced4da; }
+        #et-overlay .et-note { color: #ffc078; margin-top: 4px; }
+        #et-highlight { position: absolute; z-index: 2147482999; pointer-events: none; border: 3px solid #ff6b6b;
+            background: rgba(255, 107, 107, 0.15); border-radius: 4px; box-shadow: 0 0 0 4px rgba(255, 107, 107, 0.3); }
+    `;
+
+    /**
+     * Whether the page was opened with ?tracker-debug
+     * @returns {boolean} - True when the overlay should open on load
+     */
+    function isRequestedByUrl() {
+        return new URLSearchParams(window.location.search).has(QUERY_PARAM);
+    }
+
+    /**
+     * Whether a keyboard event is the overlay shortcut (Alt+Shift+T)
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} - True for the shortcut
+     */
+    function isShortcut(event) {
+        return event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey && event.code === 'KeyT';
+    }
+
+    /**
+     * Finds the element a CLICK event came from
+     * The XPath is tried first since it is positional; the CSS selector is the fallback
+     * @param {Object} target - Element descriptor from the event payload
+     * @returns {Element|null} - The element, if it is still in the page
+     */
+    function findElement(target) {
+        if (!target) return null;
+
+        if (target.id) {
+            const byId = document.getElementById(target.id);
+            if (byId) return byId;
+        }
+
+        if (target.xpath && document.evaluate) {
+            try {
+                const result = document.evaluate(target.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+                if (result.singleNodeValue) return result.singleNodeValue;
+            } catch (error) {
+                // Fall through to the selector
+            }
+        }
+
+        if (target.selector) {
+            try {
+                return document.querySelector(target.selector);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates an element for the overlay; every element is excluded from tracking
+     * @param {string} tagName - Element type
+     * @param {string} className - Class name (optional)
+     * @param {string} text - Text content (optional)
+     * @returns {HTMLElement} - The element
+     */
+    function create(tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.setAttribute('data-track-ignore', '');
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Creates the overlay
+     * Events are buffered from the start so opening the panel later still shows recent history
+     * @param {Object} options - { getStatus(): string } describing tracker/consent state for the header
+     * @returns {Object} - { sink, open, close, toggle, isOpen, handleKeydown }
+     */
+    function createOverlay(options) {
+        const buffer = [];
+        const counts = {};
+        let root = null;
+        let highlight = null;
+        let selectedId = null;
+        let ui = null;
+        let filterType = '';
+        let filterText = '';
+
+        /**
+         * Builds the panel DOM
+         */
+        function render() {
+            if (!document.getElementById('et-overlay-styles')) {
+                const style = create('style');
+                style.id = 'et-overlay-styles';
+                style.textContent = STYLES;
+                document.head.appendChild(style);
+            }
+
+            root = create('aside');
+            root.id = 'et-overlay';
+            root.setAttribute('aria-label', 'Event tracker debug overlay');
+
+            const header = create('header');
+            const closeButton = create('button', 'et-close', '✕');
+            closeButton.setAttribute('aria-label', 'Close debug overlay');
+            closeButton.addEventListener('click', close);
+            header.appendChild(create('strong', null, '🎯 Event Tracker'));
+            header.appendChild(closeButton);
+
+            const status = create('div', 'et-status');
+            const counters = create('div', 'et-counters');
+
+            const controls = create('div', 'et-controls');
+            const typeSelect = create('select');
+            typeSelect.setAttribute('aria-label', 'Filter by event type');
+            const textInput = create('input');
+            textInput.type = 'search';
+            textInput.placeholder = 'Filter text…';
+            textInput.setAttribute('aria-label', 'Filter by text');
+            const clearButton = create('button', 'et-clear', 'Clear');
+
+            typeSelect.addEventListener('change', function() {
+                setTypeFilter(typeSelect.value);
+            });
+            textInput.addEventListener('input', function() {
+                filterText = textInput.value.trim().toLowerCase();
+                renderList();
+            });
+            clearButton.addEventListener('click', clear);
+
+            controls.appendChild(typeSelect);
+            controls.appendChild(textInput);
+            controls.appendChild(clearButton);
+
+            const list = create('ol');
+            list.setAttribute('aria-live', 'polite');
+
+            root.appendChild(header);
+            root.appendChild(status);
+            root.appendChild(counters);
+            root.appendChild(controls);
+            root.appendChild(list);
+            document.body.appendChild(root);
+
+            ui = { status: status, counters: counters, typeSelect: typeSelect, list: list };
+            renderCounters();
+            renderList();
+        }
+
+        /**
+         * Filters the stream to one event type ('' for all)
+         * @param {string} type - Event type
+         */
+        function setTypeFilter(type) {
+            filterType = type;
+            renderCounters();
+            renderList();
+        }
+
+        /**
+         * Redraws the status line, counters and type filter options
+         */
+        function renderCounters() {
+            if (!ui) return;
+
+            ui.status.textContent = options.getStatus() + ' · ' + buffer.length + ' events buffered';
+            ui.counters.textContent = '';
+
+            const types = Object.keys(counts).sort();
+            types.forEach(function(type) {
+                const counter = create('button', 'et-counter' + (type === filterType ? ' et-active' : ''), type + ' ' + counts[type]);
+                counter.style.background = Transport.getEventStyle(type).color;
+                counter.addEventListener('click', function() {
+                    setTypeFilter(filterType === type ? '' : type);
+                });
+                ui.counters.appendChild(counter);
+            });
+
+            ui.typeSelect.textContent = '';
+            [''].concat(types).forEach(function(type) {
+                const option = create('option', null, type || 'All types');
+                option.value = type;
+                option.selected = type === filterType;
+                ui.typeSelect.appendChild(option);
+            });
+        }
+
+        /**
+         * Whether an event passes the current filters
+         * @param {Object} eventData - Event envelope
+         * @returns {boolean} - True if it should be listed
+         */
+        function matches(eventData) {
+            if (filterType && eventData.event !== filterType) return false;
+            if (filterText && JSON.stringify(eventData).toLowerCase().indexOf(filterText) === -1) return false;
+            return true;
+        }
+
+        /**
+         * Redraws the event list, newest first
+         */
+        function renderList() {
+            if (!ui) return;
+
+            ui.list.textContent = '';
+            buffer.filter(matches).slice(-MAX_RENDERED).reverse().forEach(function(eventData) {
+                ui.list.appendChild(renderRow(eventData));
+            });
+        }
+
+        /**
+         * Builds the list row for an event
+         * @param {Object} eventData - Event envelope
+         * @returns {HTMLElement} - List item
+         */
+        function renderRow(eventData) {
+            const row = create('li', eventData.id === selectedId ? 'et-selected' : null);
+            const badge = create('span', 'et-badge', eventData.event);
+            badge.style.background = Transport.getEventStyle(eventData.event).color;
+
+            row.appendChild(create('span', 'et-time', eventData.timestamp.slice(11, 23)));
+            row.appendChild(badge);
+            row.appendChild(create('span', null, summarize(eventData)));
+
+            if (eventData.id === selectedId) {
+                row.appendChild(create('pre', null, JSON.stringify(eventData.payload, null, 2)));
+
+                if (eventData.event === 'CLICK') {
+                    const found = showHighlight(eventData.payload.target);
+                    row.appendChild(create('div', 'et-note', found ? 'Outlined on the page' : 'Element is no longer in the page'));
+                }
+            }
+
+            row.addEventListener('click', function(event) {
+                // Let text inside the expanded payload be selected without collapsing it
+                if (event.target.tagName === 'PRE') return;
+
+                selectedId = selectedId === eventData.id ? null : eventData.id;
+                if (!selectedId) removeHighlight();
+                renderList();
+            });
+
+            return row;
+        }
+
+        /**
+         * One-line description of an event
+         * @param {Object} eventData - Event envelope
+         * @returns {string} - Summary text
+         */
+        function summarize(eventData) {
+            const payload = eventData.payload || {};
+
+            if (eventData.event === 'ERROR') return payload.message + (payload.count > 1 ? ' ×' + payload.count : '');
+            if (eventData.event === 'WEB_VITAL') return payload.name + ' ' + payload.value + ' (' + payload.rating + ')';
+            if (payload.target) {
+                return payload.target.semanticId || payload.target.selector || payload.target.tagName;
+            }
+            if (eventData.event === 'CUSTOM_EVENT') return payload.name;
+            if (eventData.event === 'SCROLL') return payload.percentage + '% ' + payload.direction;
+            if (eventData.event === 'VISIBILITY_CHANGE') return payload.state;
+            if (eventData.event === 'LONG_TASK') return payload.duration + 'ms';
+            if (payload.url) return payload.url;
+            return '';
+        }
+
+        /**
+         * Outlines the element behind a CLICK
+         * @param {Object} target - Element descriptor from the event payload
+         * @returns {boolean} - Whether the element was found
+         */
+        function showHighlight(target) {
+            removeHighlight();
+
+            const element = findElement(target);
+            if (!element || root.contains(element)) return false;
+
+            // Document coordinates, so the outline stays on the element without scrolling the page for the user
+            const rect = element.getBoundingClientRect();
+            highlight = create('div');
+            highlight.id = 'et-highlight';
+            highlight.style.top = (rect.top + window.pageYOffset - 3) + 'px';
+            highlight.style.left = (rect.left + window.pageXOffset - 3) + 'px';
+            highlight.style.width = rect.width + 'px';
+            highlight.style.height = rect.height + 'px';
+            document.body.appendChild(highlight);
+            return true;
+        }
+
+        /**
+         * Removes the element outline
+         */
+        function removeHighlight() {
+            if (highlight) {
+                highlight.remove();
+                highlight = null;
+            }
+        }
+
+        /**
+         * Forgets every buffered event
+         */
+        function clear() {
+            buffer.length = 0;
+            Object.keys(counts).forEach(function(type) {
+                delete counts[type];
+            });
+            selectedId = null;
+            removeHighlight();
+            renderCounters();
+            renderList();
+        }
+
+        /**
+         * Opens the panel
+         */
+        function open() {
+            if (!root) render();
+        }
+
+        /**
+         * Closes the panel; buffering continues
+         */
+        function close() {
+            removeHighlight();
+            selectedId = null;
+
+            if (root) {
+                root.remove();
+                root = null;
+                ui = null;
+            }
+        }
+
+        /**
+         * Toggles the panel on the shortcut
+         * Registered on window in the capture phase so the shortcut never
+         * reaches the tracker's own keydown listener
+         * @param {KeyboardEvent} event - Keyboard event
+         */
+        function handleKeydown(event) {
+            if (!isShortcut(event)) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            if (root) {
+                close();
+            } else {
+                open();
+            }
+        }
+
+        const sink = {
+            name: 'overlay',
+            send: function(eventData) {
+                buffer.push(eventData);
+                if (buffer.length > MAX_BUFFERED) buffer.shift();
+                counts[eventData.event] = (counts[eventData.event] || 0) + 1;
+
+                if (!ui) return;
+
+                renderCounters();
+                if (matches(eventData)) {
+                    ui.list.insertBefore(renderRow(eventData), ui.list.firstChild);
+                    if (ui.list.children.length > MAX_RENDERED) {
+                        ui.list.lastChild.remove();
+                    }
+                }
+            },
+            flush: function() {},
+            // Consent revoked: what was recorded shouldn't stay on screen either
+            clear: clear
+        };
+
+        return {
+            sink: sink,
+            open: open,
+            close: close,
+            toggle: function() {
+                if (root) {
+                    close();
+                } else {
+                    open();
+                }
+            },
+            isOpen: function() {
+                return !!root;
+            },
+            handleKeydown: handleKeydown
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.overlay = {
+        isRequestedByUrl: isRequestedByUrl,
+        createOverlay: createOverlay
+    };
+
+})(window);
@@ -0,0 +1,411 @@
+/**
+ * Event Tracker - Performance & Web Vitals
+ * Built on PerformanceObserver; browsers without an entry type simply don't
+ * report that metric.
+ *
+ * - Web Vitals: TTFB and FCP once per page; LCP once it is final (first
+ *   input, or the page being hidden); CLS and INP whenever the page is
+ *   flushed and their value has grown, so the latest report for a page view wins
+ * - Resource timings for third-party loads on the configured hosts
+ *   (Google Fonts and the Font Awesome CDN by default)
+ * - Long tasks (main thread blocked for more than 50ms)
+ * - Engaged time: time on page minus the periods the page was hidden
+ */
+(function(window) {
+    'use strict';
+
+    /**
+     * Rating thresholds [good, poor] from web.dev; values at or below the
+     * first are 'good', above the second 'poor'
+     */
+    const THRESHOLDS = {
+        TTFB: [800, 1800],
+        FCP: [1800, 3000],
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500]
+    };
+
+    /**
+     * Default monitor settings
+     * resourceHosts - hosts whose resource timings are reported
+     */
+    const MONITOR_DEFAULTS = {
+        resourceHosts: ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com']
+    };
+
+    // Event timing entries shorter than this (ms) are not reported by the browser
+    const EVENT_DURATION_THRESHOLD = 40;
+
+    /**
+     * Rates a metric value
+     * @param {string} name - Metric name
+     * @param {number} value - Metric value
+     * @returns {string} - 'good', 'needs-improvement' or 'poor'
+     */
+    function rate(name, value) {
+        const threshold = THRESHOLDS[name];
+        if (value <= threshold[0]) return 'good';
+        return value <= threshold[1] ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Rounds a duration to whole milliseconds
+     * @param {number} value - Duration
+     * @returns {number} - Rounded, never negative
+     */
+    function ms(value) {
+        return Math.max(0, Math.round(value || 0));
+    }
+
+    /**
+     * Observes a performance entry type, including entries recorded before the call
+     * @param {string} type - Entry type
+     * @param {Function} callback - Receives an array of entries
+     * @param {Object} extra - Additional observe() options
+     * @returns {Object|null} - { drain(), disconnect() }, or null if the type isn't supported
+     */
+    function observe(type, callback, extra) {
+        const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+        if (!supported || supported.indexOf(type) === -1) return null;
+
+        try {
+            const observer = new PerformanceObserver(function(list) {
+                callback(list.getEntries());
+            });
+            observer.observe(Object.assign({ type: type, buffered: true }, extra));
+
+            return {
+                // Handles entries recorded but not yet delivered to the callback
+                drain: function() {
+                    callback(observer.takeRecords());
+                },
+                disconnect: function() {
+                    observer.disconnect();
+                }
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Creates the engaged-time timer
+     * Counts from the page's time origin while the page is visible; runs for
+     * the lifetime of the page, independent of whether tracking is running
+     * @returns {Object} - { getTimeOnPage(), getEngagedTime() } both in seconds, and dispose()
+     */
+    function createEngagementTimer() {
+        let visible = !document.hidden;
+        let visibleSince = visible ? 0 : null;
+        let engaged = 0;
+
+        // A page that loaded in a background tab wasn't seen until it became visible
+        function onVisibilityChange() {
+            const now = performance.now();
+
+            if (document.hidden && visible) {
+                engaged += now - visibleSince;
+                visible = false;
+            } else if (!document.hidden && !visible) {
+                visibleSince = now;
+                visible = true;
+            }
+        }
+
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        return {
+            // Stops following visibility; the times read afterwards no longer change with it
+            dispose: function() {
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+            },
+            getTimeOnPage: function() {
+                return Math.round(performance.now() / 1000);
+            },
+            getEngagedTime: function() {
+                const current = visible ? performance.now() - visibleSince : 0;
+                return Math.round((engaged + current) / 1000);
+            }
+        };
+    }
+
+    /**
+     * Creates the performance monitor
+     * Reports go to options.report(eventType, payload) with eventType one of
+     * WEB_VITAL, RESOURCE_TIMING or LONG_TASK
+     * @param {Object} options - Overrides for MONITOR_DEFAULTS, plus report(type, payload)
+     *                           and describe(element) returning an element descriptor or null
+     * @returns {Object} - { start, stop, flush }
+     */
+    function createPerformanceMonitor(options) {
+        const settings = Object.assign({}, MONITOR_DEFAULTS, options);
+        // Entries already reported; observers replay buffered entries every time they start
+        const seen = {};
+        let observers = [];
+        let started = false;
+        let lcp = null;
+        let lcpReported = false;
+        let cls = null;
+        let interactions = {};
+        let reportedInp = 0;
+
+        /**
+         * Reports a Web Vital
+         * @param {string} name - Metric name
+         * @param {number} value - Metric value
+         * @param {Element} element - Element the metric is attributed to (optional)
+         */
+        function reportVital(name, value, element) {
+            const payload = { name: name, value: value, rating: rate(name, value) };
+            const target = element ? settings.describe(element) : null;
+
+            if (target) payload.target = target;
+            settings.report('WEB_VITAL', payload);
+        }
+
+        /**
+         * Reports an entry only the first time it is seen
+         * @param {string} key - Identity of the entry
+         * @returns {boolean} - True if the entry is new
+         */
+        function firstSeen(key) {
+            if (seen[key]) return false;
+            seen[key] = true;
+            return true;
+        }
+
+        /**
+         * Reports time to first byte from the navigation entry
+         */
+        function reportTtfb() {
+            const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+
+            if (navigation && firstSeen('TTFB')) {
+                reportVital('TTFB', ms(navigation.responseStart - (navigation.activationStart || 0)));
+            }
+        }
+
+        /**
+         * Handles paint entries (FCP)
+         * @param {Array} entries - Paint entries
+         */
+        function onPaint(entries) {
+            entries.forEach(function(entry) {
+                if (entry.name === 'first-contentful-paint' && firstSeen('FCP')) {
+                    reportVital('FCP', ms(entry.startTime));
+                }
+            });
+        }
+
+        /**
+         * Keeps the latest LCP candidate until LCP is final
+         * @param {Array} entries - largest-contentful-paint entries
+         */
+        function onLargestPaint(entries) {
+            if (!lcpReported && entries.length) {
+                lcp = entries[entries.length - 1];
+            }
+        }
+
+        /**
+         * Reports LCP; the browser stops looking for larger paints after the first input
+         */
+        function finalizeLcp() {
+            if (lcp && !lcpReported) {
+                lcpReported = true;
+                reportVital('LCP', ms(lcp.startTime), lcp.element);
+            }
+        }
+
+        /**
+         * Adds layout shifts to CLS
+         * Shifts are grouped into session windows (less than 1s apart, at most 5s
+         * long); CLS is the largest window. Shifts right after input don't count.
+         * @param {Array} entries - layout-shift entries
+         */
+        function onLayoutShift(entries) {
+            entries.forEach(function(entry) {
+                if (entry.hadRecentInput) return;
+
+                const current = cls.window;
+                if (current && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+                    current.value += entry.value;
+                    current.last = entry.startTime;
+                } else {
+                    cls.window = { first: entry.startTime, last: entry.startTime, value: entry.value };
+                }
+                cls.value = Math.max(cls.value, cls.window.value);
+            });
+        }
+
+        /**
+         * Reports CLS if it grew since the last report
+         */
+        function reportCls() {
+            const value = Math.round(cls.value * 10000) / 10000;
+
+            if (value > cls.reported) {
+                cls.reported = value;
+                reportVital('CLS', value);
+            }
+        }
+
+        /**
+         * Records the longest event of every interaction
+         * @param {Array} entries - event and first-input entries
+         */
+        function onEventTiming(entries) {
+            entries.forEach(function(entry) {
+                if (!entry.interactionId) return;
+
+                const previous = interactions[entry.interactionId];
+                if (!previous || entry.duration > previous.duration) {
+                    interactions[entry.interactionId] = { duration: entry.duration, target: entry.target };
+                }
+            });
+        }
+
+        /**
+         * Reports INP if it grew since the last report
+         * INP is the slowest interaction, ignoring one outlier per 50 interactions
+         */
+        function reportInp() {
+            const sorted = Object.keys(interactions).map(function(id) {
+                return interactions[id];
+            }).sort(function(a, b) {
+                return b.duration - a.duration;
+            });
+            if (sorted.length === 0) return;
+
+            const interaction = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+            const value = ms(interaction.duration);
+
+            if (value > reportedInp) {
+                reportedInp = value;
+                reportVital('INP', value, interaction.target);
+            }
+        }
+
+        /**
+         * Reports resource timings for the configured hosts
+         * Cross-origin phases read as 0 unless the host sends Timing-Allow-Origin
+         * @param {Array} entries - resource entries
+         */
+        function onResource(entries) {
+            entries.forEach(function(entry) {
+                let host;
+                try {
+                    host = new URL(entry.name).hostname;
+                } catch (error) {
+                    return;
+                }
+                if (settings.resourceHosts.indexOf(host) === -1 || !firstSeen('resource:' + entry.name + '@' + entry.startTime)) return;
+
+                settings.report('RESOURCE_TIMING', {
+                    url: entry.name,
+                    host: host,
+                    initiatorType: entry.initiatorType,
+                    startTime: ms(entry.startTime),
+                    duration: ms(entry.duration),
+                    dns: ms(entry.domainLookupEnd - entry.domainLookupStart),
+                    connect: ms(entry.connectEnd - entry.connectStart),
+                    ttfb: ms(entry.responseStart - entry.requestStart),
+                    transferSize: entry.transferSize || 0,
+                    encodedBodySize: entry.encodedBodySize || 0,
+                    cached: entry.transferSize === 0 && entry.decodedBodySize > 0
+                });
+            });
+        }
+
+        /**
+         * Reports long tasks
+         * @param {Array} entries - longtask entries
+         */
+        function onLongTask(entries) {
+            entries.forEach(function(entry) {
+                if (!firstSeen('longtask:' + entry.startTime)) return;
+
+                const attribution = entry.attribution && entry.attribution[0];
+                settings.report('LONG_TASK', {
+                    startTime: ms(entry.startTime),
+                    duration: ms(entry.duration),
+                    attribution: attribution ? attribution.containerType + ':' + (attribution.containerSrc || attribution.name) : null
+                });
+            });
+        }
+
+        /**
+         * Starts observing; entries from before the call are picked up too
+         */
+        function start() {
+            if (started) return;
+            started = true;
+
+            // CLS and INP are rebuilt from the buffered entries the observers replay
+            cls = { value: 0, window: null, reported: cls ? cls.reported : 0 };
+            interactions = {};
+
+            reportTtfb();
+            observers = [
+                observe('paint', onPaint),
+                observe('largest-contentful-paint', onLargestPaint),
+                observe('layout-shift', onLayoutShift),
+                observe('event', onEventTiming, { durationThreshold: EVENT_DURATION_THRESHOLD }),
+                observe('first-input', onEventTiming),
+                observe('resource', onResource),
+                observe('longtask', onLongTask)
+            ].filter(Boolean);
+
+            document.addEventListener('keydown', finalizeLcp, true);
+            document.addEventListener('pointerdown', finalizeLcp, true);
+        }
+
+        /**
+         * Reports LCP, CLS and INP as they stand
+         */
+        function flush() {
+            if (!started) return;
+
+            // Entries the observers haven't delivered yet
+            observers.forEach(function(observer) {
+                observer.drain();
+            });
+
+            finalizeLcp();
+            reportCls();
+            reportInp();
+        }
+
+        /**
+         * Stops observing
+         * @param {boolean} discard - Skip the final report (consent revoked)
+         */
+        function stop(discard) {
+            if (!started) return;
+
+            if (!discard) flush();
+
+            started = false;
+            observers.forEach(function(observer) {
+                observer.disconnect();
+            });
+            observers = [];
+            document.removeEventListener('keydown', finalizeLcp, true);
+            document.removeEventListener('pointerdown', finalizeLcp, true);
+        }
+
+        return {
+            start: start,
+            stop: stop,
+            flush: flush
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.performance = {
+        createEngagementTimer: createEngagementTimer,
+        createPerformanceMonitor: createPerformanceMonitor
+    };
+
+})(window);
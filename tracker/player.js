@@ -0,0 +1,470 @@
+/**
+ * Event Tracker - Session Replay Player
+ * Plays back recordings made by tracker/replay.js. The recording is rebuilt
+ * inside a sandboxed iframe (scripts never run) from its DOM snapshot, then
+ * the recorded stream is applied in order: mutations, scrolls, the mouse
+ * cursor, clicks, input values and viewport changes.
+ *
+ * Standalone: tracker/player.html loads this file on its own, without the tracker.
+ */
+(function(window) {
+    'use strict';
+
+    const SPEEDS = [0.5, 1, 2, 4, 8];
+
+    const STYLES = `
+        .rp-player { font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .rp-stage { position: relative; overflow: hidden; background: #e9ecef; border-radius: 8px; }
+        .rp-frame { position: absolute; top: 0; left: 0; transform-origin: 0 0; background: white; box-shadow: 0 4px 20px rgba(0,0,0,0.15); }
+        .rp-frame iframe { display: block; width: 100%; height: 100%; border: none; pointer-events: none; }
+        .rp-cursor { position: absolute; top: 0; left: 0; width: 14px; height: 14px; margin: -7px 0 0 -7px; border-radius: 50%;
+            background: rgba(102, 126, 234, 0.9); border: 2px solid white; box-shadow: 0 0 4px rgba(0,0,0,0.5); pointer-events: none; }
+        .rp-cursor.rp-click { animation: rp-click 0.4s ease-out; }
+        @keyframes rp-click { from { box-shadow: 0 0 0 0 rgba(255, 107, 107, 0.9); } to { box-shadow: 0 0 0 24px rgba(255, 107, 107, 0); } }
+        .rp-controls { display: flex; align-items: center; gap: 10px; margin-top: 10px; }
+        .rp-controls button { min-width: 72px; padding: 6px 12px; border: none; border-radius: 6px; background: #667eea; color: white; font-weight: bold; cursor: pointer; }
+        .rp-controls input[type=range] { flex: 1; }
+        .rp-time { font-variant-numeric: tabular-nums; color: #495057; }
+    `;
+
+    /**
+     * Collects the REPLAY events in collected tracker data and joins their chunks into recordings
+     * @param {*} data - An array of event envelopes, a collector batch ({ sentAt, events }),
+     *                   an array of batches, or a single assembled recording
+     * @returns {Array} - Recordings, oldest first:
+     *                    { recordingId, startedAt, url, viewport, snapshot, events, duration, complete }
+     */
+    function assembleRecordings(data) {
+        if (data && data.snapshot && Array.isArray(data.events)) {
+            return [withDuration(Object.assign({ complete: true }, data))];
+        }
+
+        const envelopes = [];
+        (Array.isArray(data) ? data : [data]).forEach(function(item) {
+            if (item && Array.isArray(item.events)) {
+                Array.prototype.push.apply(envelopes, item.events);
+            } else if (item) {
+                envelopes.push(item);
+            }
+        });
+
+        const chunksById = {};
+        envelopes.forEach(function(envelope) {
+            if (envelope.event !== 'REPLAY' || !envelope.payload) return;
+
+            const chunk = envelope.payload;
+            const chunks = chunksById[chunk.recordingId] = chunksById[chunk.recordingId] || {};
+            chunks[chunk.chunk] = chunk;
+        });
+
+        return Object.keys(chunksById).map(function(recordingId) {
+            const chunks = chunksById[recordingId];
+            const indexes = Object.keys(chunks).map(Number).sort(function(a, b) {
+                return a - b;
+            });
+            const first = chunks[0];
+
+            // Without chunk 0 there is no snapshot to play from
+            if (!first || !first.snapshot) return null;
+
+            return withDuration({
+                recordingId: recordingId,
+                startedAt: first.startedAt,
+                url: first.url,
+                viewport: first.viewport,
+                snapshot: first.snapshot,
+                events: indexes.reduce(function(events, index) {
+                    return events.concat(chunks[index].events);
+                }, []),
+                // Chunks may be missing if the visitor left before they were sent
+                complete: indexes[indexes.length - 1] === indexes.length - 1
+            });
+        }).filter(Boolean).sort(function(a, b) {
+            return a.startedAt < b.startedAt ? -1 : 1;
+        });
+    }
+
+    /**
+     * Adds the duration (ms) of a recording
+     * @param {Object} recording - Assembled recording
+     * @returns {Object} - The same recording
+     */
+    function withDuration(recording) {
+        const last = recording.events[recording.events.length - 1];
+        recording.duration = last ? last.t : 0;
+        return recording;
+    }
+
+    /**
+     * Formats a time offset as m:ss
+     * @param {number} ms - Milliseconds
+     * @returns {string} - Formatted time
+     */
+    function formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return Math.floor(seconds / 60) + ':' + ('0' + (seconds % 60)).slice(-2);
+    }
+
+    /**
+     * Creates a player for one recording
+     * @param {HTMLElement} container - Element the player is rendered into
+     * @param {Object} recording - Assembled recording (see assembleRecordings)
+     * @returns {Object} - { play, pause, seek, getCurrentTime, getDuration, destroy }
+     */
+    function createPlayer(container, recording) {
+        const events = recording.events;
+        let nodes = new Map();
+        let viewport = recording.viewport;
+        let currentTime = 0;
+        let nextIndex = 0;
+        let playing = false;
+        let speed = 1;
+        let lastFrame = 0;
+        let frameRequest = null;
+
+        if (!document.getElementById('rp-styles')) {
+            const style = document.createElement('style');
+            style.id = 'rp-styles';
+            style.textContent = STYLES;
+            document.head.appendChild(style);
+        }
+
+        const root = document.createElement('div');
+        root.className = 'rp-player';
+
+        const stage = document.createElement('div');
+        stage.className = 'rp-stage';
+        const frameWrap = document.createElement('div');
+        frameWrap.className = 'rp-frame';
+        const iframe = document.createElement('iframe');
+        // Same origin so the player can build the document, but no scripts
+        iframe.setAttribute('sandbox', 'allow-same-origin');
+        iframe.title = 'Session replay';
+        const cursor = document.createElement('div');
+        cursor.className = 'rp-cursor';
+
+        const controls = document.createElement('div');
+        controls.className = 'rp-controls';
+        const playButton = document.createElement('button');
+        playButton.type = 'button';
+        const seekBar = document.createElement('input');
+        seekBar.type = 'range';
+        seekBar.min = 0;
+        seekBar.max = recording.duration;
+        seekBar.step = 1;
+        seekBar.setAttribute('aria-label', 'Playback position');
+        const timeLabel = document.createElement('span');
+        timeLabel.className = 'rp-time';
+        const speedSelect = document.createElement('select');
+        speedSelect.setAttribute('aria-label', 'Playback speed');
+        SPEEDS.forEach(function(value) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value + '×';
+            option.selected = value === speed;
+            speedSelect.appendChild(option);
+        });
+
+        playButton.addEventListener('click', function() {
+            if (playing) {
+                pause();
+            } else {
+                play();
+            }
+        });
+        seekBar.addEventListener('input', function() {
+            seek(Number(seekBar.value));
+        });
+        speedSelect.addEventListener('change', function() {
+            speed = Number(speedSelect.value);
+        });
+        window.addEventListener('resize', fitStage);
+
+        frameWrap.appendChild(iframe);
+        frameWrap.appendChild(cursor);
+        stage.appendChild(frameWrap);
+        controls.appendChild(playButton);
+        controls.appendChild(seekBar);
+        controls.appendChild(timeLabel);
+        controls.appendChild(speedSelect);
+        root.appendChild(stage);
+        root.appendChild(controls);
+        container.appendChild(root);
+
+        rebuild();
+        updateControls();
+
+        /**
+         * Scales the recorded viewport to the width available
+         */
+        function fitStage() {
+            const scale = Math.min(1, (stage.clientWidth || viewport.width) / viewport.width);
+
+            frameWrap.style.width = viewport.width + 'px';
+            frameWrap.style.height = viewport.height + 'px';
+            frameWrap.style.transform = 'scale(' + scale + ')';
+            stage.style.height = Math.round(viewport.height * scale) + 'px';
+        }
+
+        /**
+         * Rebuilds the page from the snapshot, back at time 0
+         */
+        function rebuild() {
+            const doc = iframe.contentDocument;
+
+            doc.open();
+            doc.write('<!DOCTYPE html><html></html>');
+            doc.close();
+
+            nodes = new Map();
+            doc.replaceChild(build(recording.snapshot), doc.documentElement);
+            ensureBase();
+
+            viewport = recording.viewport;
+            fitStage();
+            nextIndex = 0;
+            currentTime = 0;
+        }
+
+        /**
+         * Creates the DOM for a serialized node
+         * @param {Object} serialized - Node from the recording
+         * @returns {Node|null} - DOM node
+         */
+        function build(serialized) {
+            if (serialized.ref !== undefined) {
+                return nodes.get(serialized.ref) || null;
+            }
+
+            const doc = iframe.contentDocument;
+            let node;
+
+            if (serialized.text !== undefined) {
+                node = doc.createTextNode(serialized.text);
+            } else {
+                node = serialized.ns ? doc.createElementNS(serialized.ns, serialized.tag) : doc.createElement(serialized.tag);
+
+                Object.keys(serialized.attrs).forEach(function(name) {
+                    setAttribute(node, name, serialized.attrs[name]);
+                });
+                serialized.children.forEach(function(child) {
+                    const childNode = build(child);
+                    if (childNode) node.appendChild(childNode);
+                });
+
+                // After the children, so a <select> has its options
+                if (serialized.value !== undefined) node.value = serialized.value;
+                if (serialized.checked !== undefined) node.checked = serialized.checked;
+            }
+
+            nodes.set(serialized.id, node);
+            return node;
+        }
+
+        /**
+         * Sets an attribute, skipping names the DOM rejects
+         * @param {Element} element - Element
+         * @param {string} name - Attribute name
+         * @param {string|null} value - Value, null to remove
+         */
+        function setAttribute(element, name, value) {
+            try {
+                if (value === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            } catch (error) {
+                // Invalid attribute name, nothing to show for it
+            }
+        }
+
+        /**
+         * Resolves the page's relative URLs (stylesheets, images) against the recorded URL
+         */
+        function ensureBase() {
+            const doc = iframe.contentDocument;
+            const head = doc.head || doc.documentElement;
+            let base = doc.querySelector('base[data-replay]');
+
+            if (!base) {
+                base = doc.createElement('base');
+                base.setAttribute('data-replay', '');
+                base.href = recording.url;
+            }
+            if (head.firstChild !== base) {
+                head.insertBefore(base, head.firstChild);
+            }
+        }
+
+        /**
+         * Applies one stream entry to the rebuilt page
+         * @param {Object} entry - Stream entry
+         */
+        function apply(entry) {
+            const doc = iframe.contentDocument;
+            const target = entry.id !== undefined && entry.id !== null ? nodes.get(entry.id) : null;
+
+            switch (entry.type) {
+                case 'mutation':
+                    entry.children.forEach(function(change) {
+                        const parent = nodes.get(change.id);
+                        if (!parent) return;
+
+                        const children = change.nodes.map(build).filter(Boolean);
+                        while (parent.firstChild) {
+                            parent.removeChild(parent.firstChild);
+                        }
+                        children.forEach(function(child) {
+                            parent.appendChild(child);
+                        });
+
+                        if (parent === doc.head) ensureBase();
+                    });
+                    entry.attributes.forEach(function(change) {
+                        const element = nodes.get(change.id);
+                        if (element) setAttribute(element, change.name, change.value);
+                    });
+                    entry.texts.forEach(function(change) {
+                        const node = nodes.get(change.id);
+                        if (node) node.textContent = change.text;
+                    });
+                    break;
+                case 'scroll':
+                    if (entry.id === null) {
+                        iframe.contentWindow.scrollTo(entry.x, entry.y);
+                    } else if (target) {
+                        target.scrollLeft = entry.x;
+                        target.scrollTop = entry.y;
+                    }
+                    break;
+                case 'mouse':
+                    moveCursor(entry.x, entry.y);
+                    break;
+                case 'click':
+                    moveCursor(entry.x, entry.y);
+                    // Restart the ripple animation
+                    cursor.classList.remove('rp-click');
+                    void cursor.offsetWidth;
+                    cursor.classList.add('rp-click');
+                    break;
+                case 'input':
+                    if (target) {
+                        target.value = entry.value;
+                        if (target.type === 'checkbox' || target.type === 'radio') target.checked = entry.checked;
+                    }
+                    break;
+                case 'viewport':
+                    viewport = { width: entry.width, height: entry.height };
+                    fitStage();
+                    break;
+            }
+        }
+
+        /**
+         * Places the cursor at viewport coordinates
+         * @param {number} x - clientX
+         * @param {number} y - clientY
+         */
+        function moveCursor(x, y) {
+            cursor.style.transform = 'translate(' + x + 'px, ' + y + 'px)';
+        }
+
+        /**
+         * Applies every entry up to a time
+         * @param {number} time - Offset (ms) into the recording
+         */
+        function applyUntil(time) {
+            while (nextIndex < events.length && events[nextIndex].t <= time) {
+                apply(events[nextIndex++]);
+            }
+            currentTime = time;
+        }
+
+        /**
+         * Jumps to a time; going backwards replays from the snapshot
+         * @param {number} time - Offset (ms) into the recording
+         */
+        function seek(time) {
+            const target = Math.max(0, Math.min(recording.duration, time));
+
+            if (target < currentTime) rebuild();
+            applyUntil(target);
+            updateControls();
+        }
+
+        /**
+         * Advances playback by the time since the last frame
+         * @param {number} now - Frame timestamp
+         */
+        function tick(now) {
+            const time = currentTime + (now - lastFrame) * speed;
+            lastFrame = now;
+
+            if (time >= recording.duration) {
+                applyUntil(recording.duration);
+                pause();
+                return;
+            }
+
+            applyUntil(time);
+            updateControls();
+            frameRequest = window.requestAnimationFrame(tick);
+        }
+
+        /**
+         * Starts playback, from the beginning if the recording has ended
+         */
+        function play() {
+            if (playing) return;
+            if (currentTime >= recording.duration) seek(0);
+
+            playing = true;
+            lastFrame = window.performance.now();
+            frameRequest = window.requestAnimationFrame(tick);
+            updateControls();
+        }
+
+        /**
+         * Pauses playback
+         */
+        function pause() {
+            playing = false;
+            window.cancelAnimationFrame(frameRequest);
+            updateControls();
+        }
+
+        /**
+         * Syncs the controls with the playback state
+         */
+        function updateControls() {
+            playButton.textContent = playing ? 'Pause' : 'Play';
+            seekBar.value = currentTime;
+            timeLabel.textContent = formatTime(currentTime) + ' / ' + formatTime(recording.duration);
+        }
+
+        return {
+            play: play,
+            pause: pause,
+            seek: seek,
+            getCurrentTime: function() {
+                return currentTime;
+            },
+            getDuration: function() {
+                return recording.duration;
+            },
+            destroy: function() {
+                pause();
+                window.removeEventListener('resize', fitStage);
+                root.remove();
+            }
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.player = {
+        assembleRecordings: assembleRecordings,
+        createPlayer: createPlayer
+    };
+
+})(window);
@@ -0,0 +1,274 @@
+/**
+ * Event Tracker - Plugins
+ * Extends the tracker without editing it. A plugin is a plain object:
+ *
+ *   {
+ *     name: 'unique-name',
+ *     order: 0,              // optional; lower runs first, ties keep registration order
+ *     setup: function(context) { ... }
+ *   }
+ *
+ * setup() runs once, when the plugin is registered with EventTracker.use(),
+ * and receives a context with:
+ *
+ *   addMiddleware(fn)   fn(event) sees every event before redaction, validation and
+ *                       the sinks. Return the event (changed or not) to keep it,
+ *                       null or false to drop it. Returning nothing keeps the event
+ *                       as it is, including any changes made to it in place.
+ *                       Fields a plugin adds go in event.extensions, the one
+ *                       object the schema leaves open; an event with fields
+ *                       added anywhere else fails validation (and is dropped
+ *                       under the default validation: 'reject'):
+ *
+ *                         context.addMiddleware(function(event) {
+ *                             event.extensions = Object.assign({}, event.extensions, { courseCode: 'CS6.302' });
+ *                         });
+ *
+ *   addSink(sink)       { name, send(event), flush(options), clear() (optional) }
+ *   addSource(attach)   attach(context) runs every time tracking starts and may
+ *                       return a function that undoes it; use context.listen so
+ *                       listeners are removed when tracking stops
+ *   listen(target, type, handler, capture)
+ *                       addEventListener for sources; removed again when tracking stops
+ *   track(name, data)   records a CUSTOM_EVENT, like EventTracker.trackCustomEvent
+ *   helpers             { describeElement, getCSSSelector, getXPath, getRelevantStyles, getElementPolicy }
+ *   getOptions()        a copy of the tracker options
+ *   name                the plugin's name
+ *
+ * Everything a plugin provides runs in plugin order, and every call into a
+ * plugin is guarded: a plugin that throws is reported once per stage on the
+ * console and skipped, and tracking carries on with the event as it was.
+ */
+(function(window) {
+    'use strict';
+
+    /**
+     * Creates the plugin registry
+     * @param {Object} host - What the tracker lends to plugins: track(name, data), helpers and getOptions()
+     * @returns {Object} - { use, has, remove, clear, applyMiddleware, getSinks, attachSources, detachSources }
+     */
+    function createPluginRegistry(host) {
+        let plugins = [];
+        let registered = 0;
+
+        /**
+         * Calls into a plugin, reporting the first failure of each stage
+         * @param {Object} entry - Registered plugin
+         * @param {string} stage - What was being called, for the warning
+         * @param {Function} fn - Function to call
+         * @param {Array} args - Arguments
+         * @returns {Object} - { ok, value }
+         */
+        function guard(entry, stage, fn, args) {
+            try {
+                return { ok: true, value: fn.apply(null, args) };
+            } catch (error) {
+                if (!entry.failed[stage]) {
+                    entry.failed[stage] = true;
+                    console.warn('[EventTracker] Plugin "' + entry.name + '" failed in ' + stage + ' and was skipped:', error);
+                }
+                return { ok: false };
+            }
+        }
+
+        /**
+         * Wraps a plugin's sink so a failure stays with that plugin
+         * @param {Object} entry - Registered plugin
+         * @param {Object} sink - Sink provided by the plugin
+         * @returns {Object} - Guarded sink
+         */
+        function guardSink(entry, sink) {
+            const label = 'sink "' + (sink.name || 'unnamed') + '"';
+            const guarded = {
+                name: entry.name + ':' + (sink.name || 'sink'),
+                send: function(eventData) {
+                    guard(entry, label, sink.send, [eventData]);
+                },
+                flush: function(options) {
+                    if (typeof sink.flush === 'function') guard(entry, label, sink.flush, [options]);
+                }
+            };
+
+            if (typeof sink.clear === 'function') {
+                guarded.clear = function() {
+                    guard(entry, label, sink.clear, []);
+                };
+            }
+            return guarded;
+        }
+
+        /**
+         * Registers a plugin and runs its setup
+         * @param {Object} plugin - { name, order, setup(context) }
+         * @returns {boolean} - Whether the plugin was registered
+         */
+        function use(plugin) {
+            if (!plugin || typeof plugin.name !== 'string' || !plugin.name || typeof plugin.setup !== 'function') {
+                console.warn('[EventTracker] A plugin needs a name and a setup(context) function:', plugin);
+                return false;
+            }
+            if (has(plugin.name)) {
+                console.warn('[EventTracker] Plugin "' + plugin.name + '" is already registered');
+                return false;
+            }
+
+            const entry = {
+                name: plugin.name,
+                order: typeof plugin.order === 'number' ? plugin.order : 0,
+                index: registered++,
+                middleware: [],
+                sinks: [],
+                sources: [],
+                teardowns: [],
+                failed: {}
+            };
+
+            const context = {
+                name: entry.name,
+                helpers: host.helpers,
+                getOptions: host.getOptions,
+                track: host.track,
+                listen: function(target, type, handler, capture) {
+                    const listener = function(event) {
+                        guard(entry, 'listener', handler, [event]);
+                    };
+                    target.addEventListener(type, listener, capture);
+                    entry.teardowns.push(function() {
+                        target.removeEventListener(type, listener, capture);
+                    });
+                },
+                addMiddleware: function(fn) {
+                    if (typeof fn === 'function') entry.middleware.push(fn);
+                },
+                addSink: function(sink) {
+                    if (sink && typeof sink.send === 'function') entry.sinks.push(guardSink(entry, sink));
+                },
+                addSource: function(attach) {
+                    if (typeof attach === 'function') entry.sources.push(attach);
+                }
+            };
+            entry.context = context;
+
+            if (!guard(entry, 'setup', plugin.setup, [context]).ok) {
+                return false;
+            }
+
+            plugins.push(entry);
+            plugins.sort(function(a, b) {
+                return a.order - b.order || a.index - b.index;
+            });
+            return true;
+        }
+
+        /**
+         * Whether a plugin with this name is registered
+         * @param {string} name - Plugin name
+         * @returns {boolean} - True if registered
+         */
+        function has(name) {
+            return plugins.some(function(entry) {
+                return entry.name === name;
+            });
+        }
+
+        /**
+         * Runs an event through every middleware in plugin order
+         * Each middleware gets its own copy, so one that throws after changing
+         * the event in place leaves no trace of those changes
+         * @param {Object} eventData - Event envelope
+         * @returns {Object|null} - The resulting event, or null if a middleware dropped it
+         */
+        function applyMiddleware(eventData) {
+            let current = eventData;
+
+            for (let i = 0; i < plugins.length; i++) {
+                const entry = plugins[i];
+
+                for (let j = 0; j < entry.middleware.length; j++) {
+                    const copy = JSON.parse(JSON.stringify(current));
+                    const result = guard(entry, 'middleware', entry.middleware[j], [copy]);
+
+                    if (!result.ok) continue;
+                    if (result.value === null || result.value === false) return null;
+                    current = result.value !== undefined ? result.value : copy;
+                }
+            }
+            return current;
+        }
+
+        /**
+         * Sinks provided by plugins, in plugin order
+         * @returns {Array} - Guarded sinks
+         */
+        function getSinks() {
+            return plugins.reduce(function(all, entry) {
+                return all.concat(entry.sinks);
+            }, []);
+        }
+
+        /**
+         * Plugins a call applies to: the named one, or all of them
+         * @param {string} name - Plugin name (optional)
+         * @returns {Array} - Registered plugins
+         */
+        function select(name) {
+            return plugins.filter(function(entry) {
+                return name === undefined || entry.name === name;
+            });
+        }
+
+        /**
+         * Runs the event sources of every plugin, or of one
+         * @param {string} name - Plugin name (optional)
+         */
+        function attachSources(name) {
+            select(name).forEach(function(entry) {
+                entry.sources.forEach(function(attach) {
+                    const result = guard(entry, 'source', attach, [entry.context]);
+
+                    if (result.ok && typeof result.value === 'function') {
+                        entry.teardowns.push(result.value);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Undoes whatever the sources attached, for every plugin or for one
+         * @param {string} name - Plugin name (optional)
+         */
+        function detachSources(name) {
+            select(name).forEach(function(entry) {
+                entry.teardowns.forEach(function(teardown) {
+                    guard(entry, 'source teardown', teardown, []);
+                });
+                entry.teardowns = [];
+            });
+        }
+
+        return {
+            use: use,
+            has: has,
+            remove: function(name) {
+                detachSources(name);
+                plugins = plugins.filter(function(entry) {
+                    return entry.name !== name;
+                });
+            },
+            clear: function() {
+                detachSources();
+                plugins = [];
+            },
+            applyMiddleware: applyMiddleware,
+            getSinks: getSinks,
+            attachSources: attachSources,
+            detachSources: detachSources
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.plugins = {
+        createPluginRegistry: createPluginRegistry
+    };
+
+})(window);
@@ -0,0 +1,305 @@
+/**
+ * Event Tracker - Consent & Privacy
+ * - Consent manager: nothing is recorded until the visitor grants consent;
+ *   the choice is stored in localStorage and can be revoked at any time
+ * - Browser signals: Do Not Track and Global Privacy Control count as a refusal
+ * - Redaction engine: rule-based masking of emails, phone numbers and roll
+ *   numbers in every string an event carries
+ * - Element policy: data-track-ignore drops events from an element (and its
+ *   children), data-track-mask records them with the value masked
+ * - Typing: characters typed into editable fields are never recorded key by
+ *   key, since together they spell out what redaction would have caught
+ */
+(function(window) {
+    'use strict';
+
+    const STORAGE_KEY = 'eventTracker.consent';
+    const MASK = '***MASKED***';
+
+    /**
+     * Default redaction rules, applied in order
+     * Roll numbers run before phone numbers since both are 10-digit runs
+     */
+    const DEFAULT_RULES = [
+        { name: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[EMAIL]' },
+        { name: 'rollNumber', pattern: /\b20\d{8}\b/g, replacement: '[ROLL_NUMBER]' },
+        // Indian mobile numbers, bare or after +91 or a trunk 0
+        { name: 'phone', pattern: /(?:\+91[\s-]?|\b0|\b)[6-9]\d{4}[\s-]?\d{5}\b/g, replacement: '[PHONE]' }
+    ];
+
+    // Input types that take clicks rather than typed text
+    const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'color', 'file', 'hidden', 'image', 'radio', 'range', 'reset', 'submit'];
+
+    // Envelope fields that never hold user-entered text
+    const SKIP_KEYS = ['schemaVersion', 'id', 'event', 'timestamp', 'visitorId', 'sessionId', 'pageViewId'];
+
+    /**
+     * Whether the browser asks not to be tracked (Do Not Track or Global Privacy Control)
+     * @returns {boolean} - True when a browser opt-out signal is present
+     */
+    function hasBrowserOptOut() {
+        const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return doNotTrack === '1' || doNotTrack === 'yes' || navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * Creates the consent manager
+     * Status is 'granted', 'denied' or 'pending' (no choice made yet)
+     * @param {Object} options - { requireConsent: boolean, honorDoNotTrack: boolean }
+     * @returns {Object} - Consent manager
+     */
+    function createConsentManager(options) {
+        const listeners = [];
+
+        /**
+         * Reads the stored choice; storage can be unavailable (private mode, sandboxed frames)
+         * @returns {Object|null} - { status, updatedAt } or null
+         */
+        function readStoredChoice() {
+            try {
+                return JSON.parse(localStorage.getItem(STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Persists the visitor's choice and notifies listeners
+         * Listeners get the resulting status, so a grant under Do Not Track or
+         * Global Privacy Control still reads 'denied'
+         * @param {string} status - 'granted' or 'denied'
+         */
+        function storeChoice(status) {
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                    status: status,
+                    updatedAt: new Date().toISOString()
+                }));
+            } catch (error) {
+                console.warn('[EventTracker] Could not store consent choice:', error);
+            }
+
+            const current = getStatus();
+            listeners.forEach(function(listener) {
+                listener(current);
+            });
+        }
+
+        /**
+         * Current consent status
+         * Browser opt-out signals win over a stored grant
+         * @returns {string} - 'granted', 'denied' or 'pending'
+         */
+        function getStatus() {
+            if (options.honorDoNotTrack && hasBrowserOptOut()) {
+                return 'denied';
+            }
+            if (!options.requireConsent) {
+                return 'granted';
+            }
+
+            const stored = readStoredChoice();
+            return stored && (stored.status === 'granted' || stored.status === 'denied') ? stored.status : 'pending';
+        }
+
+        return {
+            getStatus: getStatus,
+            isGranted: function() {
+                return getStatus() === 'granted';
+            },
+            isDecided: function() {
+                return getStatus() !== 'pending';
+            },
+            grant: function() {
+                storeChoice('granted');
+            },
+            revoke: function() {
+                storeChoice('denied');
+            },
+            onChange: function(listener) {
+                listeners.push(listener);
+            }
+        };
+    }
+
+    /**
+     * Creates a redactor from a list of rules
+     * @param {Array} rules - [{ name, pattern: RegExp, replacement: string }]
+     * @returns {Object} - { redact(eventData) }
+     */
+    function createRedactor(rules) {
+        const compiled = rules.map(function(rule) {
+            const flags = rule.pattern.flags.indexOf('g') === -1 ? rule.pattern.flags + 'g' : rule.pattern.flags;
+            return {
+                pattern: new RegExp(rule.pattern.source, flags),
+                replacement: rule.replacement || MASK
+            };
+        });
+
+        /**
+         * Applies every rule to a string
+         * @param {string} text - Input text
+         * @returns {string} - Redacted text
+         */
+        function redactString(text) {
+            return compiled.reduce(function(result, rule) {
+                return result.replace(rule.pattern, rule.replacement);
+            }, text);
+        }
+
+        /**
+         * Returns a redacted deep copy of a value
+         * @param {*} value - Any JSON-like value
+         * @param {string} key - Field name the value is stored under
+         * @returns {*} - Redacted copy
+         */
+        function redactValue(value, key) {
+            if (typeof value === 'string') {
+                return SKIP_KEYS.indexOf(key) === -1 ? redactString(value) : value;
+            }
+            if (Array.isArray(value)) {
+                return value.map(function(item) {
+                    return redactValue(item, key);
+                });
+            }
+            if (value !== null && typeof value === 'object') {
+                const copy = {};
+                Object.keys(value).forEach(function(childKey) {
+                    copy[childKey] = redactValue(value[childKey], childKey);
+                });
+                return copy;
+            }
+            return value;
+        }
+
+        return {
+            redact: function(eventData) {
+                return redactValue(eventData, null);
+            },
+            redactString: redactString
+        };
+    }
+
+    /**
+     * Decides how events from an element are recorded
+     * @param {Element} element - Event target
+     * @returns {string} - 'ignore' (drop the event), 'mask' (hide the value) or 'record'
+     */
+    function getElementPolicy(element) {
+        if (!element || typeof element.closest !== 'function') {
+            return 'record';
+        }
+        if (element.closest('[data-track-ignore]')) {
+            return 'ignore';
+        }
+        if (element.closest('[data-track-mask]') || isSensitiveField(element)) {
+            return 'mask';
+        }
+        return 'record';
+    }
+
+    /**
+     * Whether a form field holds credentials or payment details
+     * @param {Element} element - Form field
+     * @returns {boolean} - True for password, one-time-code and card fields
+     */
+    function isSensitiveField(element) {
+        const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+        return element.type === 'password' ||
+            /password/i.test(element.name || '') ||
+            autocomplete === 'one-time-code' ||
+            autocomplete.indexOf('cc-') === 0;
+    }
+
+    /**
+     * Whether an element takes typed text
+     * @param {Element} element - Event target
+     * @returns {boolean} - True for text inputs, textareas, selects and editable content
+     */
+    function isEditable(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+            return false;
+        }
+        if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+            return true;
+        }
+        return element.tagName === 'INPUT' && NON_TEXT_INPUT_TYPES.indexOf(element.type) === -1;
+    }
+
+    /**
+     * Whether a key press types a character, rather than a key such as Enter, Tab or Ctrl+C
+     * @param {KeyboardEvent} event - keydown event
+     * @returns {boolean} - True for printable keys without Ctrl or Meta
+     */
+    function isPrintableKey(event) {
+        return typeof event.key === 'string' && Array.from(event.key).length === 1 && !event.ctrlKey && !event.metaKey;
+    }
+
+    /**
+     * Shows a small consent bar at the bottom of the page
+     * The bar carries data-track-ignore so answering it is never recorded
+     * @param {Object} consent - Consent manager
+     * @returns {HTMLElement} - The banner element
+     */
+    function showConsentBanner(consent) {
+        const banner = document.createElement('div');
+        banner.setAttribute('data-track-ignore', '');
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-label', 'Usage analytics consent');
+        banner.style.cssText = 'position: fixed; left: 0; right: 0; bottom: 0; z-index: 2000; display: flex; gap: 12px; ' +
+            'align-items: center; justify-content: center; flex-wrap: wrap; padding: 12px 20px; ' +
+            'background: #212529; color: #f8f9fa; font-size: 14px; box-shadow: 0 -4px 10px rgba(0,0,0,0.2);';
+
+        const message = document.createElement('span');
+        message.textContent = 'This page can record anonymous usage (clicks, scrolling) to help improve the course site. ' +
+            'Nothing is recorded unless you allow it.';
+
+        const allowButton = createBannerButton('Allow', '#0077b6');
+        const declineButton = createBannerButton('Decline', '#495057');
+
+        allowButton.addEventListener('click', function() {
+            banner.remove();
+            consent.grant();
+        });
+        declineButton.addEventListener('click', function() {
+            banner.remove();
+            consent.revoke();
+        });
+
+        banner.appendChild(message);
+        banner.appendChild(allowButton);
+        banner.appendChild(declineButton);
+        document.body.appendChild(banner);
+
+        return banner;
+    }
+
+    /**
+     * Builds a consent banner button
+     * @param {string} label - Button text
+     * @param {string} background - Button colour
+     * @returns {HTMLButtonElement} - The button
+     */
+    function createBannerButton(label, background) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.style.cssText = 'border: none; border-radius: 6px; padding: 6px 16px; cursor: pointer; ' +
+            'color: white; font-weight: bold; background: ' + background + ';';
+        return button;
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.privacy = {
+        MASK: MASK,
+        DEFAULT_RULES: DEFAULT_RULES,
+        hasBrowserOptOut: hasBrowserOptOut,
+        createConsentManager: createConsentManager,
+        createRedactor: createRedactor,
+        getElementPolicy: getElementPolicy,
+        isEditable: isEditable,
+        isPrintableKey: isPrintableKey,
+        showConsentBanner: showConsentBanner
+    };
+
+})(window);
@@ -0,0 +1,413 @@
+/**
+ * Event Tracker - Session Replay Recorder
+ * Records enough to rebuild what the visitor saw: a snapshot of the DOM when
+ * recording starts, then an ordered stream of DOM mutations, scrolls, mouse
+ * positions, clicks, input values and viewport changes.
+ *
+ * The recording leaves the page as REPLAY events, one per chunk, so it goes
+ * through the same consent check, redaction and sinks as every other event.
+ * Chunks of one recording share a recordingId; chunk 0 carries the snapshot.
+ * tracker/player.html reassembles the chunks and plays them back.
+ *
+ * Elements under data-track-ignore (the tracker's own UI included) are left
+ * out entirely. Text under data-track-mask and the values of masked or
+ * sensitive fields are replaced with the privacy mask.
+ *
+ * Serialized nodes:
+ *   element { id, tag, ns?, attrs, value?, checked?, children }
+ *   text    { id, text }
+ *   a node the player already has, when a parent's children change: { ref }
+ * Stream entries, t in ms since the recording started:
+ *   { type: 'mutation', t, children: [{ id, nodes }], attributes: [{ id, name, value }], texts: [{ id, text }] }
+ *   { type: 'scroll', t, id (null for the page), x, y }
+ *   { type: 'mouse', t, x, y }
+ *   { type: 'click', t, x, y, id }
+ *   { type: 'input', t, id, value, checked }
+ *   { type: 'viewport', t, width, height }
+ */
+(function(window) {
+    'use strict';
+
+    const Privacy = window.EventTrackerModules.privacy;
+    const Schema = window.EventTrackerModules.schema;
+
+    const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+    // Elements whose content is never recorded or replayed
+    const SKIPPED_TAGS = ['SCRIPT', 'NOSCRIPT', 'TEMPLATE'];
+
+    /**
+     * Default recorder settings
+     * chunkInterval - how often (ms) recorded entries are handed on as a chunk
+     * maxChunkSize  - a chunk is handed on early once it holds this many entries
+     * mouseInterval - minimum time (ms) between recorded mouse positions
+     * scrollInterval - minimum time (ms) between recorded scroll positions
+     */
+    const RECORDER_DEFAULTS = {
+        chunkInterval: 10000,
+        maxChunkSize: 500,
+        mouseInterval: 50,
+        scrollInterval: 100
+    };
+
+    /**
+     * Limits how often a function runs; the last call in a burst always runs
+     * @param {Function} fn - Function to limit
+     * @param {number} wait - Minimum time (ms) between runs
+     * @returns {Object} - { run(...args), cancel() }
+     */
+    function throttle(fn, wait) {
+        let last = 0;
+        let timer = null;
+        let pendingArgs = null;
+
+        function invoke() {
+            last = Date.now();
+            timer = null;
+            fn.apply(null, pendingArgs);
+        }
+
+        return {
+            run: function() {
+                pendingArgs = arguments;
+                if (timer) return;
+
+                const remaining = wait - (Date.now() - last);
+                if (remaining <= 0) {
+                    invoke();
+                } else {
+                    timer = setTimeout(invoke, remaining);
+                }
+            },
+            cancel: function() {
+                clearTimeout(timer);
+                timer = null;
+            }
+        };
+    }
+
+    /**
+     * Creates the session replay recorder
+     * @param {Object} options - Overrides for RECORDER_DEFAULTS, plus onChunk(chunk) which receives
+     *                           { recordingId, chunk, startedAt, url, viewport, snapshot, events }
+     * @returns {Object} - { start, stop, flush, isRecording }
+     */
+    function createRecorder(options) {
+        const settings = Object.assign({}, RECORDER_DEFAULTS, options);
+        let recording = false;
+        let recordingId = null;
+        let startedAt = 0;
+        let chunkIndex = 0;
+        let snapshot = null;
+        let entries = [];
+        let nodeIds = null;
+        let nextNodeId = 1;
+        let observer = null;
+        let chunkTimer = null;
+        let listeners = [];
+
+        const mouseThrottle = throttle(function(event) {
+            push({ type: 'mouse', x: event.clientX, y: event.clientY });
+        }, settings.mouseInterval);
+
+        const scrollThrottle = throttle(function(target) {
+            if (target === document) {
+                push({ type: 'scroll', id: null, x: window.pageXOffset, y: window.pageYOffset });
+            } else if (nodeIds.has(target)) {
+                push({ type: 'scroll', id: nodeIds.get(target), x: target.scrollLeft, y: target.scrollTop });
+            }
+        }, settings.scrollInterval);
+
+        /**
+         * Adds an entry to the stream
+         * @param {Object} entry - Stream entry without its time
+         */
+        function push(entry) {
+            entry.t = Date.now() - startedAt;
+            entries.push(entry);
+
+            if (entries.length >= settings.maxChunkSize) {
+                flush();
+            }
+        }
+
+        /**
+         * Whether a node is left out of the recording
+         * @param {Node} node - DOM node
+         * @returns {boolean} - True for ignored subtrees, scripts and non-content nodes
+         */
+        function isSkipped(node) {
+            if (node.nodeType === Node.TEXT_NODE) return false;
+            if (node.nodeType !== Node.ELEMENT_NODE) return true;
+            return SKIPPED_TAGS.indexOf(node.tagName) !== -1 || Privacy.getElementPolicy(node) === 'ignore';
+        }
+
+        /**
+         * Whether a node's text or value must be masked
+         * @param {Node} node - Element or text node
+         * @returns {boolean} - True under data-track-mask and for sensitive fields
+         */
+        function isMasked(node) {
+            const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            return !!element && Privacy.getElementPolicy(element) === 'mask';
+        }
+
+        /**
+         * Current value of a form field, masked where required
+         * @param {Element} element - Form field
+         * @returns {string} - Value to record
+         */
+        function getValue(element) {
+            return element.value && isMasked(element) ? Privacy.MASK : element.value;
+        }
+
+        /**
+         * Serializes a node and its subtree, giving every node an id
+         * Nodes that already have an id are referenced instead unless fresh is set
+         * @param {Node} node - DOM node
+         * @param {boolean} fresh - Serialize in full even if the node is known
+         * @returns {Object|null} - Serialized node, or null if it isn't recorded
+         */
+        function serialize(node, fresh) {
+            if (isSkipped(node)) return null;
+
+            if (!fresh && nodeIds.has(node)) {
+                return { ref: nodeIds.get(node) };
+            }
+
+            const id = nextNodeId++;
+            nodeIds.set(node, id);
+
+            if (node.nodeType === Node.TEXT_NODE) {
+                return { id: id, text: node.textContent && isMasked(node) ? Privacy.MASK : node.textContent };
+            }
+
+            const serialized = { id: id, tag: node.localName, attrs: {}, children: [] };
+
+            // SVG and MathML keep their namespace (and case-sensitive tag names such as linearGradient)
+            if (node.namespaceURI && node.namespaceURI !== HTML_NAMESPACE) {
+                serialized.ns = node.namespaceURI;
+            }
+
+            Array.prototype.forEach.call(node.attributes, function(attribute) {
+                const value = getAttributeValue(node, attribute.name);
+                if (value !== null) serialized.attrs[attribute.name] = value;
+            });
+
+            if (node.tagName === 'INPUT' || node.tagName === 'TEXTAREA' || node.tagName === 'SELECT') {
+                serialized.value = getValue(node);
+                if (node.type === 'checkbox' || node.type === 'radio') {
+                    serialized.checked = node.checked;
+                }
+            }
+
+            serialized.children = serializeChildren(node, true);
+            return serialized;
+        }
+
+        /**
+         * Serializes the recorded children of an element
+         * @param {Element} element - Parent element
+         * @param {boolean} fresh - Serialize known children in full rather than by reference
+         * @returns {Array} - Serialized nodes
+         */
+        function serializeChildren(element, fresh) {
+            const children = [];
+
+            Array.prototype.forEach.call(element.childNodes, function(child) {
+                const serialized = serialize(child, fresh);
+                if (serialized) children.push(serialized);
+            });
+
+            return children;
+        }
+
+        /**
+         * Value of an attribute as recorded
+         * Inline event handlers are dropped and value attributes of masked fields masked
+         * @param {Element} element - Element
+         * @param {string} name - Attribute name
+         * @returns {string|null} - Recorded value, null to leave the attribute out
+         */
+        function getAttributeValue(element, name) {
+            const value = element.getAttribute(name);
+
+            if (value === null || /^on/i.test(name)) return null;
+            if (name === 'value' && value && isMasked(element)) return Privacy.MASK;
+            return value;
+        }
+
+        /**
+         * Turns a batch of DOM mutations into one stream entry
+         * Every parent whose children changed is recorded with its complete child
+         * list, so the order the mutations happened in doesn't matter on replay
+         * @param {Array} records - MutationRecords
+         */
+        function onMutations(records) {
+            const parents = [];
+            const attributes = [];
+            const texts = [];
+
+            records.forEach(function(record) {
+                const target = record.target;
+                if (!target.isConnected) return;
+
+                // A node that became ignored (or stopped being ignored) is dropped from or added back to its parent
+                if (record.attributeName === 'data-track-ignore' && target.parentNode && parents.indexOf(target.parentNode) === -1) {
+                    parents.push(target.parentNode);
+                }
+                if (!nodeIds.has(target) || isSkipped(target)) return;
+
+                if (record.type === 'childList') {
+                    if (parents.indexOf(target) === -1) parents.push(target);
+                } else if (record.type === 'attributes') {
+                    attributes.push({ id: nodeIds.get(target), name: record.attributeName, value: getAttributeValue(target, record.attributeName) });
+                } else if (record.type === 'characterData') {
+                    texts.push({ id: nodeIds.get(target), text: target.textContent && isMasked(target) ? Privacy.MASK : target.textContent });
+                }
+            });
+
+            const children = parents.filter(function(parent) {
+                return nodeIds.has(parent);
+            }).map(function(parent) {
+                return { id: nodeIds.get(parent), nodes: serializeChildren(parent, false) };
+            });
+
+            if (children.length || attributes.length || texts.length) {
+                push({ type: 'mutation', children: children, attributes: attributes, texts: texts });
+            }
+        }
+
+        /**
+         * Records a form field's new value
+         * @param {Event} event - input or change event
+         */
+        function onInput(event) {
+            const target = event.target;
+            if (!nodeIds.has(target)) return;
+
+            push({ type: 'input', id: nodeIds.get(target), value: getValue(target), checked: !!target.checked });
+        }
+
+        /**
+         * Records a click with its position
+         * @param {MouseEvent} event - click event
+         */
+        function onClick(event) {
+            push({ type: 'click', x: event.clientX, y: event.clientY, id: nodeIds.has(event.target) ? nodeIds.get(event.target) : null });
+        }
+
+        /**
+         * Records the new viewport size
+         */
+        function onResize() {
+            push({ type: 'viewport', width: window.innerWidth, height: window.innerHeight });
+        }
+
+        /**
+         * Adds a listener that stop() removes
+         * @param {EventTarget} target - Element, document or window
+         * @param {string} type - Event type
+         * @param {Function} handler - Event handler
+         */
+        function listen(target, type, handler) {
+            target.addEventListener(type, handler, true);
+            listeners.push(function() {
+                target.removeEventListener(type, handler, true);
+            });
+        }
+
+        /**
+         * Starts a new recording with a fresh snapshot
+         */
+        function start() {
+            if (recording) return;
+
+            recording = true;
+            recordingId = Schema.generateId();
+            startedAt = Date.now();
+            chunkIndex = 0;
+            entries = [];
+            nodeIds = new WeakMap();
+            nextNodeId = 1;
+            snapshot = serialize(document.documentElement, true);
+
+            observer = new MutationObserver(onMutations);
+            observer.observe(document, { childList: true, attributes: true, characterData: true, subtree: true });
+
+            listen(document, 'mousemove', mouseThrottle.run);
+            listen(document, 'scroll', function(event) {
+                scrollThrottle.run(event.target);
+            });
+            listen(document, 'click', onClick);
+            listen(document, 'input', onInput);
+            listen(document, 'change', onInput);
+            listen(window, 'resize', onResize);
+
+            chunkTimer = setInterval(flush, settings.chunkInterval);
+        }
+
+        /**
+         * Hands everything recorded since the last chunk to onChunk
+         */
+        function flush() {
+            if (!recording) return;
+
+            // Mutations the observer hasn't delivered yet belong in this chunk
+            onMutations(observer.takeRecords());
+            if (!snapshot && entries.length === 0) return;
+
+            const chunk = {
+                recordingId: recordingId,
+                chunk: chunkIndex++,
+                startedAt: new Date(startedAt).toISOString(),
+                url: window.location.href,
+                viewport: { width: window.innerWidth, height: window.innerHeight },
+                snapshot: snapshot,
+                events: entries
+            };
+
+            snapshot = null;
+            entries = [];
+            settings.onChunk(chunk);
+        }
+
+        /**
+         * Ends the recording
+         * @param {boolean} discard - Drop what hasn't been handed on yet (consent revoked)
+         */
+        function stop(discard) {
+            if (!recording) return;
+
+            if (!discard) flush();
+
+            recording = false;
+            observer.disconnect();
+            observer = null;
+            clearInterval(chunkTimer);
+            mouseThrottle.cancel();
+            scrollThrottle.cancel();
+            listeners.forEach(function(remove) {
+                remove();
+            });
+            listeners = [];
+            entries = [];
+            snapshot = null;
+        }
+
+        return {
+            start: start,
+            stop: stop,
+            flush: flush,
+            isRecording: function() {
+                return recording;
+            }
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.replay = {
+        createRecorder: createRecorder
+    };
+
+})(window);
@@ -0,0 +1,652 @@
+/**
+ * Event Tracker - Event Schema
+ * Every tracked event shares one envelope:
+ *   { schemaVersion, id, event, timestamp, visitorId, sessionId, pageViewId, sequence, payload, extensions? }
+ * where payload is typed per event type. extensions is the one open object:
+ * plugins that enrich events put their fields there, since anything added
+ * elsewhere fails validation. EVENT_SCHEMA below is a JSON Schema
+ * (draft 2020-12) document; tracker/event-schema.json is the same document for
+ * the collector to validate against, so change both together and bump
+ * SCHEMA_VERSION whenever a payload changes shape.
+ *
+ * The validator understands the subset of JSON Schema the document uses:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * minimum, maximum, minLength, format (date-time, uuid), $ref, allOf, if/then.
+ */
+(function(window) {
+    'use strict';
+
+    const SCHEMA_VERSION = '1.5';
+
+    const NULLABLE_STRING = { type: ['string', 'null'] };
+
+    const EVENT_SCHEMA = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: 'urn:event-tracker:event:' + SCHEMA_VERSION,
+        title: 'EventTracker event',
+        type: 'object',
+        required: ['schemaVersion', 'id', 'event', 'timestamp', 'visitorId', 'sessionId', 'pageViewId', 'sequence', 'payload'],
+        additionalProperties: false,
+        properties: {
+            schemaVersion: { const: SCHEMA_VERSION },
+            id: { type: 'string', format: 'uuid' },
+            event: {
+                enum: ['PAGE_VIEW', 'CLICK', 'FORM_SUBMIT', 'INPUT_CHANGE', 'SCROLL', 'MOUSE_MOVE', 'KEYPRESS',
+                    'VISIBILITY_CHANGE', 'PAGE_EXIT', 'CUSTOM_EVENT', 'SESSION_START', 'SESSION_END', 'REPLAY',
+                    'WEB_VITAL', 'RESOURCE_TIMING', 'LONG_TASK', 'ERROR']
+            },
+            timestamp: { type: 'string', format: 'date-time' },
+            visitorId: { type: 'string', format: 'uuid' },
+            sessionId: { type: 'string', format: 'uuid' },
+            pageViewId: { type: 'string', format: 'uuid' },
+            sequence: { type: 'integer', minimum: 1 },
+            payload: { type: 'object' },
+            // Fields added by plugin middleware, e.g. { courseCode: 'CS6.302' }; not checked
+            extensions: { type: 'object' },
+            validationErrors: { type: 'array', items: { type: 'string' } }
+        },
+        allOf: [
+            payloadRule('PAGE_VIEW', 'PageViewPayload'),
+            payloadRule('CLICK', 'ClickPayload'),
+            payloadRule('FORM_SUBMIT', 'FormSubmitPayload'),
+            payloadRule('INPUT_CHANGE', 'InputChangePayload'),
+            payloadRule('SCROLL', 'ScrollPayload'),
+            payloadRule('MOUSE_MOVE', 'MouseMovePayload'),
+            payloadRule('KEYPRESS', 'KeypressPayload'),
+            payloadRule('VISIBILITY_CHANGE', 'VisibilityChangePayload'),
+            payloadRule('PAGE_EXIT', 'PageExitPayload'),
+            payloadRule('CUSTOM_EVENT', 'CustomEventPayload'),
+            payloadRule('SESSION_START', 'SessionStartPayload'),
+            payloadRule('SESSION_END', 'SessionEndPayload'),
+            payloadRule('REPLAY', 'ReplayPayload'),
+            payloadRule('WEB_VITAL', 'WebVitalPayload'),
+            payloadRule('RESOURCE_TIMING', 'ResourceTimingPayload'),
+            payloadRule('LONG_TASK', 'LongTaskPayload'),
+            payloadRule('ERROR', 'ErrorPayload')
+        ],
+        $defs: {
+            Element: {
+                type: 'object',
+                required: ['tagName'],
+                additionalProperties: false,
+                properties: {
+                    tagName: { type: 'string', minLength: 1 },
+                    id: NULLABLE_STRING,
+                    className: NULLABLE_STRING,
+                    name: NULLABLE_STRING,
+                    type: NULLABLE_STRING,
+                    text: NULLABLE_STRING,
+                    value: NULLABLE_STRING,
+                    selector: { type: 'string' },
+                    xpath: { type: 'string' },
+                    label: NULLABLE_STRING,
+                    semanticId: NULLABLE_STRING,
+                    context: { $ref: '#/$defs/ElementContext' }
+                }
+            },
+            ElementContext: {
+                type: 'object',
+                required: ['section', 'row', 'column'],
+                additionalProperties: false,
+                properties: {
+                    section: NULLABLE_STRING,
+                    row: NULLABLE_STRING,
+                    column: NULLABLE_STRING
+                }
+            },
+            Size: {
+                type: 'object',
+                required: ['width', 'height'],
+                additionalProperties: false,
+                properties: {
+                    width: { type: 'number', minimum: 0 },
+                    height: { type: 'number', minimum: 0 }
+                }
+            },
+            PageViewPayload: {
+                type: 'object',
+                required: ['url', 'path', 'title', 'referrer', 'viewport', 'screen'],
+                additionalProperties: false,
+                properties: {
+                    url: { type: 'string' },
+                    path: { type: 'string' },
+                    title: { type: 'string' },
+                    referrer: NULLABLE_STRING,
+                    viewport: { $ref: '#/$defs/Size' },
+                    screen: { $ref: '#/$defs/Size' }
+                }
+            },
+            ClickPayload: {
+                type: 'object',
+                required: ['target', 'position'],
+                additionalProperties: false,
+                properties: {
+                    target: { $ref: '#/$defs/Element' },
+                    position: {
+                        type: 'object',
+                        required: ['clientX', 'clientY', 'pageX', 'pageY'],
+                        additionalProperties: false,
+                        properties: {
+                            clientX: { type: 'number' },
+                            clientY: { type: 'number' },
+                            pageX: { type: 'number' },
+                            pageY: { type: 'number' }
+                        }
+                    },
+                    computedStyles: {
+                        type: 'object',
+                        additionalProperties: { type: 'string' }
+                    }
+                }
+            },
+            FormSubmitPayload: {
+                type: 'object',
+                required: ['form', 'fields'],
+                additionalProperties: false,
+                properties: {
+                    form: {
+                        type: 'object',
+                        required: ['id', 'name', 'action', 'method'],
+                        additionalProperties: false,
+                        properties: {
+                            id: NULLABLE_STRING,
+                            name: NULLABLE_STRING,
+                            action: NULLABLE_STRING,
+                            method: { type: 'string' }
+                        }
+                    },
+                    fields: {
+                        type: 'object',
+                        additionalProperties: { type: 'string' }
+                    }
+                }
+            },
+            InputChangePayload: {
+                type: 'object',
+                required: ['target'],
+                additionalProperties: false,
+                properties: {
+                    target: { $ref: '#/$defs/Element' }
+                }
+            },
+            ScrollPayload: {
+                type: 'object',
+                required: ['position', 'percentage', 'direction'],
+                additionalProperties: false,
+                properties: {
+                    position: { type: 'number', minimum: 0 },
+                    percentage: { type: 'number', minimum: 0, maximum: 100 },
+                    direction: { enum: ['up', 'down'] }
+                }
+            },
+            MouseMovePayload: {
+                type: 'object',
+                required: ['position', 'target'],
+                additionalProperties: false,
+                properties: {
+                    position: {
+                        type: 'object',
+                        required: ['clientX', 'clientY'],
+                        additionalProperties: false,
+                        properties: {
+                            clientX: { type: 'number' },
+                            clientY: { type: 'number' }
+                        }
+                    },
+                    target: { $ref: '#/$defs/Element' }
+                }
+            },
+            KeypressPayload: {
+                type: 'object',
+                required: ['key', 'code', 'ctrlKey', 'shiftKey', 'altKey', 'metaKey', 'target'],
+                additionalProperties: false,
+                properties: {
+                    key: { type: 'string' },
+                    code: { type: 'string' },
+                    ctrlKey: { type: 'boolean' },
+                    shiftKey: { type: 'boolean' },
+                    altKey: { type: 'boolean' },
+                    metaKey: { type: 'boolean' },
+                    target: { $ref: '#/$defs/Element' }
+                }
+            },
+            VisibilityChangePayload: {
+                type: 'object',
+                required: ['state', 'engagedTime'],
+                additionalProperties: false,
+                properties: {
+                    state: { enum: ['hidden', 'visible'] },
+                    engagedTime: { type: 'number', minimum: 0 }
+                }
+            },
+            PageExitPayload: {
+                type: 'object',
+                required: ['url', 'timeOnPage', 'engagedTime'],
+                additionalProperties: false,
+                properties: {
+                    url: { type: 'string' },
+                    timeOnPage: { type: 'number', minimum: 0 },
+                    engagedTime: { type: 'number', minimum: 0 }
+                }
+            },
+            CustomEventPayload: {
+                type: 'object',
+                required: ['name', 'data'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    data: { type: 'object' }
+                }
+            },
+            SessionStartPayload: {
+                type: 'object',
+                required: ['isNewVisitor', 'previousSessionId', 'landingPage', 'referrer'],
+                additionalProperties: false,
+                properties: {
+                    isNewVisitor: { type: 'boolean' },
+                    previousSessionId: { type: ['string', 'null'], format: 'uuid' },
+                    landingPage: { type: 'string' },
+                    referrer: NULLABLE_STRING
+                }
+            },
+            SessionEndPayload: {
+                type: 'object',
+                required: ['reason', 'startedAt', 'lastActivityAt', 'duration'],
+                additionalProperties: false,
+                properties: {
+                    reason: { enum: ['timeout', 'expired'] },
+                    startedAt: { type: 'string', format: 'date-time' },
+                    lastActivityAt: { type: 'string', format: 'date-time' },
+                    duration: { type: 'number', minimum: 0 }
+                }
+            },
+            ReplayPayload: {
+                type: 'object',
+                required: ['recordingId', 'chunk', 'startedAt', 'url', 'viewport', 'snapshot', 'events'],
+                additionalProperties: false,
+                properties: {
+                    recordingId: { type: 'string', format: 'uuid' },
+                    chunk: { type: 'integer', minimum: 0 },
+                    startedAt: { type: 'string', format: 'date-time' },
+                    url: { type: 'string' },
+                    viewport: { $ref: '#/$defs/Size' },
+                    // DOM snapshot in chunk 0, null afterwards (node format: see tracker/replay.js)
+                    snapshot: { type: ['object', 'null'] },
+                    events: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['type', 't'],
+                            properties: {
+                                type: { enum: ['mutation', 'scroll', 'mouse', 'click', 'input', 'viewport'] },
+                                t: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    }
+                }
+            },
+            WebVitalPayload: {
+                type: 'object',
+                required: ['name', 'value', 'rating'],
+                additionalProperties: false,
+                properties: {
+                    name: { enum: ['TTFB', 'FCP', 'LCP', 'CLS', 'INP'] },
+                    value: { type: 'number', minimum: 0 },
+                    rating: { enum: ['good', 'needs-improvement', 'poor'] },
+                    target: { $ref: '#/$defs/Element' }
+                }
+            },
+            ResourceTimingPayload: {
+                type: 'object',
+                required: ['url', 'host', 'initiatorType', 'startTime', 'duration', 'dns', 'connect', 'ttfb',
+                    'transferSize', 'encodedBodySize', 'cached'],
+                additionalProperties: false,
+                properties: {
+                    url: { type: 'string' },
+                    host: { type: 'string' },
+                    initiatorType: { type: 'string' },
+                    startTime: { type: 'number', minimum: 0 },
+                    duration: { type: 'number', minimum: 0 },
+                    dns: { type: 'number', minimum: 0 },
+                    connect: { type: 'number', minimum: 0 },
+                    ttfb: { type: 'number', minimum: 0 },
+                    transferSize: { type: 'number', minimum: 0 },
+                    encodedBodySize: { type: 'number', minimum: 0 },
+                    cached: { type: 'boolean' }
+                }
+            },
+            LongTaskPayload: {
+                type: 'object',
+                required: ['startTime', 'duration', 'attribution'],
+                additionalProperties: false,
+                properties: {
+                    startTime: { type: 'number', minimum: 0 },
+                    duration: { type: 'number', minimum: 0 },
+                    attribution: NULLABLE_STRING
+                }
+            },
+            ErrorPayload: {
+                type: 'object',
+                required: ['kind', 'message', 'fingerprint', 'count', 'filename', 'line', 'column', 'stack', 'resourceUrl', 'breadcrumbs'],
+                additionalProperties: false,
+                properties: {
+                    kind: { enum: ['error', 'unhandledrejection', 'resource', 'broken_link'] },
+                    message: { type: 'string' },
+                    fingerprint: { type: 'string', minLength: 1 },
+                    count: { type: 'integer', minimum: 1 },
+                    filename: NULLABLE_STRING,
+                    line: { type: ['integer', 'null'], minimum: 1 },
+                    column: { type: ['integer', 'null'], minimum: 1 },
+                    stack: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['function', 'url', 'line', 'column'],
+                            additionalProperties: false,
+                            properties: {
+                                function: { type: 'string' },
+                                url: { type: 'string' },
+                                line: { type: 'integer', minimum: 0 },
+                                column: { type: 'integer', minimum: 0 }
+                            }
+                        }
+                    },
+                    resourceUrl: NULLABLE_STRING,
+                    target: { $ref: '#/$defs/Element' },
+                    breadcrumbs: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['event', 'timestamp', 'summary'],
+                            additionalProperties: false,
+                            properties: {
+                                event: { type: 'string' },
+                                timestamp: { type: 'string', format: 'date-time' },
+                                summary: NULLABLE_STRING
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    const FORMATS = {
+        'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+        'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+    };
+
+    /**
+     * Builds the allOf rule that ties an event type to its payload definition
+     * @param {string} eventType - Value of the event field
+     * @param {string} definition - Name of the payload in $defs
+     * @returns {Object} - if/then schema
+     */
+    function payloadRule(eventType, definition) {
+        return {
+            if: { properties: { event: { const: eventType } } },
+            then: { properties: { payload: { $ref: '#/$defs/' + definition } } }
+        };
+    }
+
+    /**
+     * Generates a random identifier
+     * Uses crypto.randomUUID where available, falling back to getRandomValues
+     * @returns {string} - RFC 4122 version 4 UUID
+     */
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+
+        const bytes = new Uint8Array(16);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+
+        // Set the version (4) and variant (10xx) bits
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        const hex = Array.prototype.map.call(bytes, function(byte) {
+            return ('0' + byte.toString(16)).slice(-2);
+        }).join('');
+
+        return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+    }
+
+    /**
+     * Creates an event envelope
+     * Identity fields (visitorId, sessionId, pageViewId, sequence) are added by the session manager
+     * @param {string} eventType - One of the event types in EVENT_SCHEMA
+     * @param {Object} payload - Typed payload for that event type
+     * @returns {Object} - Event envelope
+     */
+    function createEvent(eventType, payload) {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            id: generateId(),
+            event: eventType,
+            timestamp: new Date().toISOString(),
+            payload: payload
+        };
+    }
+
+    /**
+     * Validates a stamped event against EVENT_SCHEMA
+     * @param {Object} eventData - Event envelope
+     * @returns {Object} - { valid: boolean, errors: string[] }
+     */
+    function validate(eventData) {
+        const errors = [];
+        validateNode(eventData, EVENT_SCHEMA, 'event', errors);
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Checks custom event input before an envelope is built
+     * The data has to survive JSON serialization unchanged: no functions,
+     * DOM nodes, undefined values, non-finite numbers or circular references
+     * @param {*} eventName - Name passed to trackCustomEvent
+     * @param {*} eventData - Data passed to trackCustomEvent
+     * @returns {Object} - { valid: boolean, errors: string[] }
+     */
+    function validateCustomInput(eventName, eventData) {
+        const errors = [];
+
+        if (typeof eventName !== 'string' || eventName.trim() === '') {
+            errors.push('name: expected a non-empty string');
+        }
+        if (eventData !== undefined && !isPlainObject(eventData)) {
+            errors.push('data: expected a plain object');
+        } else if (eventData !== undefined) {
+            checkJsonSafe(eventData, 'data', [], errors);
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Walks a value and reports anything JSON cannot represent faithfully
+     * @param {*} value - Value to check
+     * @param {string} path - Path used in error messages
+     * @param {Array} ancestors - Objects on the current path, for cycle detection
+     * @param {Array} errors - Collected error messages
+     */
+    function checkJsonSafe(value, path, ancestors, errors) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') return;
+
+        if (typeof value === 'number') {
+            if (!isFinite(value)) errors.push(path + ': number must be finite');
+            return;
+        }
+        if (typeof value !== 'object') {
+            errors.push(path + ': ' + typeof value + ' is not JSON-serializable');
+            return;
+        }
+        if (ancestors.indexOf(value) !== -1) {
+            errors.push(path + ': circular reference');
+            return;
+        }
+        if (!Array.isArray(value) && !isPlainObject(value)) {
+            errors.push(path + ': only plain objects and arrays are allowed');
+            return;
+        }
+
+        const nextAncestors = ancestors.concat([value]);
+        Object.keys(value).forEach(function(key) {
+            checkJsonSafe(value[key], path + '.' + key, nextAncestors, errors);
+        });
+    }
+
+    /**
+     * Whether a value is an object literal (not an array, DOM node or class instance)
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for plain objects
+     */
+    function isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const proto = Object.getPrototypeOf(value);
+        // Compared structurally so objects created in another frame still count
+        return proto === null || Object.getPrototypeOf(proto) === null;
+    }
+
+    /**
+     * Returns the JSON Schema type name of a value
+     * @param {*} value - Any value
+     * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    /**
+     * Resolves a local $ref such as '#/$defs/Element'
+     * @param {string} ref - Reference string
+     * @returns {Object} - Referenced schema
+     */
+    function resolveRef(ref) {
+        return ref.replace(/^#\//, '').split('/').reduce(function(node, part) {
+            return node[part];
+        }, EVENT_SCHEMA);
+    }
+
+    /**
+     * Validates a value against a schema node, collecting error messages
+     * @param {*} value - Value to validate
+     * @param {Object} schema - Schema node
+     * @param {string} path - Path used in error messages
+     * @param {Array} errors - Collected error messages
+     */
+    function validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            validateNode(value, resolveRef(schema.$ref), path, errors);
+            return;
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const actual = typeOf(value);
+            const matches = types.indexOf(actual) !== -1 || (actual === 'integer' && types.indexOf('number') !== -1);
+
+            if (!matches) {
+                errors.push(path + ': expected ' + types.join(' or ') + ', got ' + actual);
+                return;
+            }
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            errors.push(path + ': expected ' + JSON.stringify(schema.const));
+        }
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            errors.push(path + ': expected one of ' + schema.enum.join(', '));
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(path + ': must be at least ' + schema.minLength + ' characters');
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+                errors.push(path + ': not a valid ' + schema.format);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(path + ': must be >= ' + schema.minimum);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(path + ': must be <= ' + schema.maximum);
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach(function(item, index) {
+                validateNode(item, schema.items, path + '[' + index + ']', errors);
+            });
+        }
+
+        if (typeOf(value) === 'object') {
+            validateObject(value, schema, path, errors);
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(function(subschema) {
+                if (subschema.if) {
+                    const conditionErrors = [];
+                    validateNode(value, subschema.if, path, conditionErrors);
+                    if (conditionErrors.length === 0 && subschema.then) {
+                        validateNode(value, subschema.then, path, errors);
+                    }
+                } else {
+                    validateNode(value, subschema, path, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Applies required, properties and additionalProperties to an object
+     * @param {Object} value - Object to validate
+     * @param {Object} schema - Schema node
+     * @param {string} path - Path used in error messages
+     * @param {Array} errors - Collected error messages
+     */
+    function validateObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(function(key) {
+            if (!(key in value)) {
+                errors.push(path + '.' + key + ': is required');
+            }
+        });
+
+        Object.keys(value).forEach(function(key) {
+            if (properties[key]) {
+                validateNode(value[key], properties[key], path + '.' + key, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(path + '.' + key + ': is not allowed');
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateNode(value[key], schema.additionalProperties, path + '.' + key, errors);
+            }
+        });
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.schema = {
+        SCHEMA_VERSION: SCHEMA_VERSION,
+        EVENT_SCHEMA: EVENT_SCHEMA,
+        generateId: generateId,
+        createEvent: createEvent,
+        validate: validate,
+        validateCustomInput: validateCustomInput
+    };
+
+})(window);
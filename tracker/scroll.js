@@ -0,0 +1,138 @@
+/**
+ * Event Tracker - Scroll Signal
+ * One scroll listener for the whole page. Scroll events arrive many times a
+ * frame; every handler that measured the page on each of them forced the
+ * browser to lay it out again. The signal instead measures once per animation
+ * frame and hands the same reading to every subscriber:
+ *
+ *   { top, maxTop, percentage, direction, viewportHeight, atBottom }
+ *
+ * Subscribers should only write to the page (classes, styles) so the next
+ * frame's measurement stays cheap. The tracker's scroll events and the page's
+ * own scroll handling (script.js) share the signal from getScrollSignal().
+ */
+(function(window) {
+    'use strict';
+
+    let shared = null;
+
+    /**
+     * Schedules a callback for the next frame, or soon after where there are no frames
+     * @param {Function} callback - Callback
+     */
+    function nextFrame(callback) {
+        if (typeof window.requestAnimationFrame === 'function') {
+            window.requestAnimationFrame(callback);
+        } else {
+            setTimeout(callback, 16);
+        }
+    }
+
+    /**
+     * Creates a scroll signal
+     * @returns {Object} - { subscribe, getState, update }
+     */
+    function createScrollSignal() {
+        let subscribers = [];
+        let state = null;
+        let scheduled = false;
+
+        /**
+         * Measures the page's scroll position
+         * @returns {Object} - Scroll state
+         */
+        function measure() {
+            const root = document.documentElement;
+            const top = window.pageYOffset || root.scrollTop;
+            const viewportHeight = window.innerHeight;
+            const maxTop = Math.max(0, root.scrollHeight - viewportHeight);
+            let direction = state ? state.direction : 'down';
+
+            if (state && top !== state.top) {
+                direction = top > state.top ? 'down' : 'up';
+            }
+
+            return {
+                top: top,
+                maxTop: maxTop,
+                percentage: maxTop > 0 ? Math.min(100, Math.round(top / maxTop * 100)) : 100,
+                direction: direction,
+                viewportHeight: viewportHeight,
+                // A couple of pixels short still counts: zoomed pages scroll by fractions
+                atBottom: top >= maxTop - 2
+            };
+        }
+
+        /**
+         * Measures and notifies every subscriber, once per frame
+         */
+        function update() {
+            if (scheduled) return;
+            scheduled = true;
+
+            nextFrame(function() {
+                scheduled = false;
+                state = measure();
+
+                subscribers.slice().forEach(function(subscriber) {
+                    try {
+                        subscriber(state);
+                    } catch (error) {
+                        console.warn('[EventTracker] A scroll subscriber failed:', error);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Calls a function with every new scroll state
+         * The page is only listened to while someone is subscribed
+         * @param {Function} subscriber - Called with the scroll state
+         * @returns {Function} - Unsubscribes
+         */
+        function subscribe(subscriber) {
+            subscribers.push(subscriber);
+            if (subscribers.length === 1) {
+                window.addEventListener('scroll', update, { passive: true });
+                window.addEventListener('resize', update, { passive: true });
+            }
+
+            return function() {
+                const index = subscribers.indexOf(subscriber);
+                if (index === -1) return;
+
+                subscribers.splice(index, 1);
+                if (subscribers.length === 0) {
+                    window.removeEventListener('scroll', update, { passive: true });
+                    window.removeEventListener('resize', update, { passive: true });
+                }
+            };
+        }
+
+        return {
+            subscribe: subscribe,
+            // The latest reading, measured now if there is none yet
+            getState: function() {
+                return state || (state = measure());
+            },
+            // Re-measures without a scroll, e.g. after content above the viewport changed size
+            update: update
+        };
+    }
+
+    /**
+     * The page's scroll signal, shared by everything that follows scrolling
+     * @returns {Object} - Scroll signal
+     */
+    function getScrollSignal() {
+        if (!shared) shared = createScrollSignal();
+        return shared;
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.scroll = {
+        createScrollSignal: createScrollSignal,
+        getScrollSignal: getScrollSignal
+    };
+
+})(window);
@@ -0,0 +1,196 @@
+/**
+ * Event Tracker - Semantic Element Identification
+ * CSS selectors and XPaths describe where an element sits in the markup, so
+ * they change whenever a row is added to a table. This module describes
+ * elements by what they are instead:
+ *
+ * - label:      data-track-label, aria-label, aria-labelledby, the element's
+ *               own text, or its title/alt, in that order
+ * - context:    the section (data-track-section or the enclosing
+ *               <section id>), the table row (data-track-row or the text of
+ *               the row's first cell) and the column header
+ * - semanticId: data-track-id when the page sets one, otherwise the context
+ *               and label joined, e.g. "lectures / 12 / Material / Slides"
+ *
+ * It also recognizes links to course material in the lecture, lab and exam
+ * tables, which the tracker reports as material_open events.
+ */
+(function(window) {
+    'use strict';
+
+    const MAX_LABEL_LENGTH = 80;
+
+    // Tables whose outbound links are course material
+    const MATERIAL_SECTIONS = ['lectures', 'labs', 'exams'];
+
+    // Column holding the row's topic in each of those tables
+    const TOPIC_HEADERS = ['Lecture Content', 'Topic', 'Exam Type'];
+
+    // Material types in order of precedence, matched against the link text ("Web-Slides" is Slides, "Paper & Key" is Paper)
+    const MATERIAL_TYPES = [
+        { type: 'Slides', pattern: /slide/i },
+        { type: 'Notes', pattern: /note/i },
+        { type: 'Scripts', pattern: /script|boiler code/i },
+        { type: 'Paper', pattern: /paper/i },
+        { type: 'Key', pattern: /\bkey\b/i }
+    ];
+
+    /**
+     * Collapses whitespace and shortens text
+     * @param {string} text - Raw text
+     * @returns {string|null} - Cleaned text, or null if empty
+     */
+    function clean(text) {
+        const collapsed = String(text || '').replace(/\s+/g, ' ').trim();
+        return collapsed ? collapsed.substring(0, MAX_LABEL_LENGTH) : null;
+    }
+
+    /**
+     * Text of a table cell without bracketed notes such as "[Cancelled - Rain]"
+     * @param {Element} cell - Table cell
+     * @returns {string|null} - Cell text
+     */
+    function cellText(cell) {
+        return cell ? clean(cell.textContent.replace(/\[[^\]]*\]/g, ' ')) : null;
+    }
+
+    /**
+     * The name a visitor would give the element
+     * @param {Element} element - Element
+     * @returns {string|null} - Label
+     */
+    function getLabel(element) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        const candidates = [
+            element.getAttribute('data-track-label'),
+            element.getAttribute('aria-label'),
+            labelledBy ? labelledBy.split(/\s+/).map(function(id) {
+                const labelElement = document.getElementById(id);
+                return labelElement ? labelElement.textContent : '';
+            }).join(' ') : null,
+            element.textContent,
+            element.getAttribute('title'),
+            element.getAttribute('alt')
+        ];
+
+        for (let i = 0; i < candidates.length; i++) {
+            const label = clean(candidates[i]);
+            if (label) return label;
+        }
+        return null;
+    }
+
+    /**
+     * Where the element sits in the page's structure
+     * @param {Element} element - Element
+     * @returns {Object} - { section, row, column }, each null when it doesn't apply
+     */
+    function getContext(element) {
+        const context = { section: null, row: null, column: null };
+
+        const section = element.closest('[data-track-section], section[id]');
+        if (section) {
+            context.section = section.getAttribute('data-track-section') || section.id;
+        }
+
+        const row = element.closest('tr');
+        if (row) {
+            const cell = element.closest('td, th');
+            context.row = row.getAttribute('data-track-row') || (cell !== row.cells[0] ? cellText(row.cells[0]) : null);
+
+            const table = row.closest('table');
+            const header = table && table.tHead && table.tHead.rows[0];
+            if (cell && header && header !== row && header.cells[cell.cellIndex]) {
+                context.column = clean(header.cells[cell.cellIndex].textContent);
+            }
+        }
+        return context;
+    }
+
+    /**
+     * Describes an element by its label and context
+     * Elements inside a link, button or data-track-id/label element are described by it
+     * @param {Element} element - Element
+     * @param {boolean} masked - Leave out text the page didn't mark as a label (data-track-mask)
+     * @returns {Object} - { label, semanticId, context }
+     */
+    function describe(element, masked) {
+        // An icon inside a link is identified by the link
+        const subject = element.closest('[data-track-id], [data-track-label], a[href], button, [role="button"]') || element;
+        const context = getContext(subject);
+        const label = masked ? clean(subject.getAttribute('data-track-label')) : getLabel(subject);
+        const trackId = subject.getAttribute('data-track-id');
+
+        // A masked row is only named by the page
+        if (masked && context.row) {
+            context.row = subject.closest('tr').getAttribute('data-track-row');
+        }
+
+        return {
+            label: label,
+            semanticId: trackId || [context.section, context.row, context.column, label].filter(Boolean).join(' / ') || null,
+            context: context
+        };
+    }
+
+    /**
+     * Material type of a link from its text
+     * @param {string} text - Link text
+     * @returns {string} - Slides, Notes, Scripts, Paper, Key, or Other
+     */
+    function getMaterialType(text) {
+        for (let i = 0; i < MATERIAL_TYPES.length; i++) {
+            if (MATERIAL_TYPES[i].pattern.test(text)) return MATERIAL_TYPES[i].type;
+        }
+        return 'Other';
+    }
+
+    /**
+     * Describes a link to course material
+     * @param {Element} link - Anchor element
+     * @returns {Object|null} - { section, number, topic, materialType, label, url }, or null
+     *                          if the link isn't an outbound link in a material table
+     */
+    function getMaterialLink(link) {
+        const section = link.closest('section[id]');
+        const row = link.closest('tbody tr');
+        if (!section || !row || MATERIAL_SECTIONS.indexOf(section.id) === -1 || !link.href) return null;
+
+        let url;
+        try {
+            url = new URL(link.href, window.location.href);
+        } catch (error) {
+            return null;
+        }
+        if (url.origin === window.location.origin || !/^https?:$/.test(url.protocol)) return null;
+
+        const table = row.closest('table');
+        const headers = table && table.tHead ? Array.prototype.map.call(table.tHead.rows[0].cells, function(cell) {
+            return clean(cell.textContent);
+        }) : [];
+        let topicIndex = -1;
+        TOPIC_HEADERS.forEach(function(header) {
+            if (topicIndex === -1) topicIndex = headers.indexOf(header);
+        });
+
+        const number = parseInt(cellText(row.cells[0]), 10);
+        const label = clean(link.textContent);
+
+        return {
+            section: section.id,
+            number: isNaN(number) ? null : number,
+            topic: topicIndex === -1 ? null : cellText(row.cells[topicIndex]),
+            materialType: getMaterialType(label || ''),
+            label: label,
+            url: url.href
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.semantics = {
+        describe: describe,
+        getMaterialLink: getMaterialLink,
+        getMaterialType: getMaterialType
+    };
+
+})(window);
@@ -0,0 +1,234 @@
+/**
+ * Event Tracker - Session & Visitor Identity
+ * - Visitor id: anonymous random id kept in localStorage across visits
+ * - Session id: shared by every tab of the page; a new session starts after
+ *   the configured period without any tracked event (30 minutes by default)
+ * - Page view id: new for every page load
+ * - Sequence: per-session counter giving every event a stable order
+ * SESSION_START and SESSION_END are emitted as events of their own.
+ */
+(function(window) {
+    'use strict';
+
+    const Schema = window.EventTrackerModules.schema;
+    const generateId = Schema.generateId;
+
+    const VISITOR_KEY = 'eventTracker.visitorId';
+    const SESSION_KEY = 'eventTracker.session';
+
+    /**
+     * Reads a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} - Parsed value, or null when missing or storage is unavailable
+     */
+    function readStorage(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes a JSON value to localStorage, ignoring quota and access errors
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    function writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            // Identity then only lasts for this page view, which is acceptable
+        }
+    }
+
+    /**
+     * Removes a key from localStorage
+     * @param {string} key - Storage key
+     */
+    function removeStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Nothing stored, nothing to remove
+        }
+    }
+
+    /**
+     * Creates the session manager
+     * @param {Object} options - { timeout: inactivity timeout in ms, onExpire(endEvent) }
+     * @returns {Object} - Session manager
+     */
+    function createSessionManager(options) {
+        const pageViewId = generateId();
+        let timeout = options.timeout;
+        let visitor = null;
+        let session = null;
+        let expiryTimer = null;
+
+        /**
+         * Returns the visitor id, creating it on first use
+         * @returns {Object} - { id, isNew }
+         */
+        function getVisitor() {
+            if (!visitor) {
+                const storedId = readStorage(VISITOR_KEY);
+                visitor = { id: storedId || generateId(), isNew: !storedId };
+
+                if (!storedId) {
+                    writeStorage(VISITOR_KEY, visitor.id);
+                }
+            }
+            return visitor;
+        }
+
+        /**
+         * Loads the latest session state, which another tab may have updated
+         * @returns {Object|null} - { id, startedAt, lastActivityAt, sequence, ended }
+         */
+        function loadSession() {
+            return readStorage(SESSION_KEY) || session;
+        }
+
+        /**
+         * Whether a stored session can still be continued
+         * @param {Object} candidate - Stored session state
+         * @param {number} now - Current time (ms)
+         * @returns {boolean} - True when active and not timed out
+         */
+        function isActive(candidate, now) {
+            return !!candidate && !candidate.ended && now - candidate.lastActivityAt < timeout;
+        }
+
+        /**
+         * Stamps an event with the identity fields
+         * @param {Object} eventData - The tracked event
+         * @param {Object} target - Session the event belongs to
+         * @returns {Object} - Stamped copy of the event
+         */
+        function stamp(eventData, target) {
+            target.sequence++;
+
+            return Object.assign({}, eventData, {
+                visitorId: getVisitor().id,
+                sessionId: target.id,
+                pageViewId: pageViewId,
+                sequence: target.sequence
+            });
+        }
+
+        /**
+         * Builds the SESSION_END event for a session
+         * @param {Object} ended - Session state
+         * @param {string} reason - 'timeout' (ended while the page was open) or 'expired' (noticed on the next visit)
+         * @returns {Object} - Stamped SESSION_END event
+         */
+        function buildEndEvent(ended, reason) {
+            return stamp(Schema.createEvent('SESSION_END', {
+                reason: reason,
+                startedAt: new Date(ended.startedAt).toISOString(),
+                lastActivityAt: new Date(ended.lastActivityAt).toISOString(),
+                duration: ended.lastActivityAt - ended.startedAt
+            }), ended);
+        }
+
+        /**
+         * Starts the timer that ends the session once it has been idle for the timeout
+         */
+        function scheduleExpiry() {
+            clearTimeout(expiryTimer);
+
+            expiryTimer = setTimeout(function() {
+                const current = loadSession();
+                const now = Date.now();
+
+                // Another tab kept the session alive, check again later
+                if (isActive(current, now)) {
+                    session = current;
+                    scheduleExpiry();
+                    return;
+                }
+
+                if (current && !current.ended) {
+                    const endEvent = buildEndEvent(current, 'timeout');
+                    current.ended = true;
+                    session = current;
+                    writeStorage(SESSION_KEY, current);
+                    options.onExpire(endEvent);
+                }
+            }, Math.max(0, session.lastActivityAt + timeout - Date.now()));
+        }
+
+        /**
+         * Stamps an event, continuing or starting the session as needed
+         * @param {Object} eventData - The tracked event
+         * @returns {Array} - Events to deliver in order: a SESSION_END for an
+         *                    expired session and a SESSION_START when a new one
+         *                    begins, followed by the stamped event itself
+         */
+        function record(eventData) {
+            const now = Date.now();
+            const previous = loadSession();
+            const events = [];
+
+            if (isActive(previous, now)) {
+                session = previous;
+            } else {
+                if (previous && !previous.ended) {
+                    events.push(buildEndEvent(previous, 'expired'));
+                }
+
+                session = { id: generateId(), startedAt: now, lastActivityAt: now, sequence: 0, ended: false };
+                events.push(stamp(Schema.createEvent('SESSION_START', {
+                    isNewVisitor: getVisitor().isNew,
+                    previousSessionId: previous ? previous.id : null,
+                    landingPage: window.location.href,
+                    referrer: document.referrer || null
+                }), session));
+            }
+
+            session.lastActivityAt = now;
+            events.push(stamp(eventData, session));
+            writeStorage(SESSION_KEY, session);
+            scheduleExpiry();
+
+            return events;
+        }
+
+        return {
+            record: record,
+            getPageViewId: function() {
+                return pageViewId;
+            },
+            getSessionId: function() {
+                const current = loadSession();
+                return isActive(current, Date.now()) ? current.id : null;
+            },
+            getVisitorId: function() {
+                return getVisitor().id;
+            },
+            setTimeout: function(value) {
+                timeout = value;
+                if (session) scheduleExpiry();
+            },
+            // Stops the expiry timer; the stored session lives on for the next page
+            dispose: function() {
+                clearTimeout(expiryTimer);
+            },
+            // Forgets the visitor and session entirely (consent revoked)
+            reset: function() {
+                clearTimeout(expiryTimer);
+                visitor = null;
+                session = null;
+                removeStorage(VISITOR_KEY);
+                removeStorage(SESSION_KEY);
+            }
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.session = {
+        createSessionManager: createSessionManager
+    };
+
+})(window);
@@ -0,0 +1,349 @@
+/**
+ * Event Tracker - Offline Event Store
+ * Persists the HTTP sink's queue in IndexedDB so events survive a closed tab
+ * or a dropped connection and are replayed on the next page load or when the
+ * browser comes back online.
+ *
+ * Every record is leased to the page that wrote or claimed it, so two open
+ * tabs never replay the same event. Events handed to navigator.sendBeacon
+ * during unload are noted in localStorage (IndexedDB writes don't reliably
+ * finish while a page unloads), and the next claim discards them instead of
+ * sending them twice.
+ */
+(function(window) {
+    'use strict';
+
+    const DB_VERSION = 1;
+    const STORE_NAME = 'events';
+    const SENT_IDS_KEY = 'eventTracker.sentIds';
+    const MAX_SENT_IDS = 1000;
+
+    /**
+     * Default store settings
+     * dbName   - IndexedDB database name
+     * maxEvents - oldest records are deleted beyond this many
+     * maxAge   - records older than this (ms) are deleted unsent
+     * lease    - how long (ms) a record stays reserved for the page that holds it
+     */
+    const STORE_DEFAULTS = {
+        dbName: 'event-tracker',
+        maxEvents: 1000,
+        maxAge: 7 * 24 * 60 * 60 * 1000,
+        lease: 60 * 1000
+    };
+
+    // Prune after this many writes, besides once when the database opens
+    const PRUNE_EVERY = 50;
+
+    /**
+     * Whether this browser can persist events
+     * @returns {boolean} - True when IndexedDB is available
+     */
+    function isSupported() {
+        try {
+            return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+        } catch (error) {
+            // Accessing indexedDB throws in some sandboxed frames
+            return false;
+        }
+    }
+
+    /**
+     * Wraps an IDBRequest in a promise
+     * @param {IDBRequest} request - Pending request
+     * @returns {Promise} - Resolves with the request result
+     */
+    function promisify(request) {
+        return new Promise(function(resolve, reject) {
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Resolves once a transaction has committed
+     * @param {IDBTransaction} transaction - Open transaction
+     * @returns {Promise} - Resolves on complete, rejects on error or abort
+     */
+    function whenComplete(transaction) {
+        return new Promise(function(resolve, reject) {
+            transaction.oncomplete = function() {
+                resolve();
+            };
+            transaction.onerror = transaction.onabort = function() {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Reads the ids of events already delivered by beacon
+     * @returns {Array} - Event ids, oldest first
+     */
+    function readSentIds() {
+        try {
+            return JSON.parse(localStorage.getItem(SENT_IDS_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Remembers ids delivered by beacon, keeping only the most recent ones
+     * @param {Array} ids - Event ids
+     */
+    function writeSentIds(ids) {
+        try {
+            localStorage.setItem(SENT_IDS_KEY, JSON.stringify(ids.slice(-MAX_SENT_IDS)));
+        } catch (error) {
+            // Without the log a beaconed event may be sent again; the collector can drop it by id
+        }
+    }
+
+    /**
+     * Creates the IndexedDB-backed event store
+     * Every method returns a promise that resolves even if IndexedDB fails,
+     * so persistence problems never interfere with sending
+     * @param {Object} options - Overrides for STORE_DEFAULTS
+     * @returns {Object} - Event store
+     */
+    function createEventStore(options) {
+        const settings = Object.assign({}, STORE_DEFAULTS, options);
+        const ownerId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        let dbPromise = null;
+        let writesSincePrune = 0;
+        let warned = false;
+
+        /**
+         * Logs the first storage failure; later ones are silent
+         * @param {Error} error - The failure
+         */
+        function warnOnce(error) {
+            if (!warned) {
+                warned = true;
+                console.warn('[EventTracker] Offline event storage unavailable:', error);
+            }
+        }
+
+        /**
+         * Opens (and on first use creates) the database
+         * @returns {Promise} - Resolves with the IDBDatabase
+         */
+        function open() {
+            if (!dbPromise) {
+                const request = window.indexedDB.open(settings.dbName, DB_VERSION);
+
+                request.onupgradeneeded = function() {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('storedAt', 'storedAt');
+                };
+
+                dbPromise = promisify(request).then(function(db) {
+                    return prune(db).then(function() {
+                        return db;
+                    });
+                });
+            }
+            return dbPromise;
+        }
+
+        /**
+         * Deletes records past maxAge, then the oldest records beyond maxEvents
+         * @param {IDBDatabase} db - Open database
+         * @returns {Promise} - Resolves when pruning has committed
+         */
+        function prune(db) {
+            writesSincePrune = 0;
+
+            return deleteOldest(db, IDBKeyRange.upperBound(Date.now() - settings.maxAge, true), Infinity).then(function() {
+                const transaction = db.transaction(STORE_NAME, 'readonly');
+                return promisify(transaction.objectStore(STORE_NAME).count());
+            }).then(function(count) {
+                if (count > settings.maxEvents) {
+                    return deleteOldest(db, null, count - settings.maxEvents);
+                }
+            });
+        }
+
+        /**
+         * Deletes records in storedAt order
+         * @param {IDBDatabase} db - Open database
+         * @param {IDBKeyRange|null} range - storedAt range to delete from, null for all
+         * @param {number} limit - Maximum number of records to delete
+         * @returns {Promise} - Resolves when the deletes have committed
+         */
+        function deleteOldest(db, range, limit) {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            let deleted = 0;
+
+            transaction.objectStore(STORE_NAME).index('storedAt').openCursor(range).onsuccess = function(event) {
+                const cursor = event.target.result;
+                if (cursor && deleted < limit) {
+                    deleted++;
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+
+            return whenComplete(transaction);
+        }
+
+        /**
+         * Persists an event, leased to this page
+         * @param {Object} eventData - Event envelope (must carry an id)
+         * @returns {Promise} - Resolves when written
+         */
+        function put(eventData) {
+            return open().then(function(db) {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const now = Date.now();
+
+                transaction.objectStore(STORE_NAME).put({
+                    id: eventData.id,
+                    event: eventData,
+                    storedAt: now,
+                    owner: ownerId,
+                    leasedUntil: now + settings.lease
+                });
+
+                return whenComplete(transaction).then(function() {
+                    writesSincePrune++;
+                    if (writesSincePrune >= PRUNE_EVERY) {
+                        return prune(db);
+                    }
+                });
+            }).catch(warnOnce);
+        }
+
+        /**
+         * Deletes delivered events
+         * @param {Array} ids - Event ids
+         * @returns {Promise} - Resolves when deleted
+         */
+        function remove(ids) {
+            if (ids.length === 0) return Promise.resolve();
+
+            return open().then(function(db) {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const store = transaction.objectStore(STORE_NAME);
+
+                ids.forEach(function(id) {
+                    store.delete(id);
+                });
+                return whenComplete(transaction);
+            }).catch(warnOnce);
+        }
+
+        /**
+         * Extends this page's lease on events it is still trying to send
+         * @param {Array} ids - Event ids
+         * @returns {Promise} - Resolves when updated
+         */
+        function renew(ids) {
+            if (ids.length === 0) return Promise.resolve();
+
+            return open().then(function(db) {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const store = transaction.objectStore(STORE_NAME);
+                const leasedUntil = Date.now() + settings.lease;
+
+                ids.forEach(function(id) {
+                    store.get(id).onsuccess = function(event) {
+                        const record = event.target.result;
+                        if (record) {
+                            record.owner = ownerId;
+                            record.leasedUntil = leasedUntil;
+                            store.put(record);
+                        }
+                    };
+                });
+                return whenComplete(transaction);
+            }).catch(warnOnce);
+        }
+
+        /**
+         * Claims stored events for replay, oldest first
+         * Records whose lease has run out (their page is gone) or that this page
+         * already owns are leased to this page and returned. Events already
+         * delivered by beacon are deleted instead. The claim runs in a single
+         * readwrite transaction, which IndexedDB serializes across tabs.
+         * @param {number} limit - Maximum number of events to claim
+         * @returns {Promise} - Resolves with an array of event envelopes
+         */
+        function claim(limit) {
+            return open().then(function(db) {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const store = transaction.objectStore(STORE_NAME);
+                const now = Date.now();
+                const sentIds = readSentIds();
+                const claimed = [];
+
+                store.index('storedAt').openCursor().onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    if (!cursor || claimed.length >= limit) return;
+
+                    const record = cursor.value;
+
+                    if (sentIds.indexOf(record.id) !== -1) {
+                        cursor.delete();
+                    } else if (record.owner === ownerId || record.leasedUntil < now) {
+                        record.owner = ownerId;
+                        record.leasedUntil = now + settings.lease;
+                        cursor.update(record);
+                        claimed.push(record.event);
+                    }
+                    cursor.continue();
+                };
+
+                return whenComplete(transaction).then(function() {
+                    return claimed;
+                });
+            }).catch(function(error) {
+                warnOnce(error);
+                return [];
+            });
+        }
+
+        /**
+         * Records ids delivered by beacon; safe to call while the page unloads
+         * @param {Array} ids - Event ids
+         */
+        function markSent(ids) {
+            writeSentIds(readSentIds().concat(ids));
+        }
+
+        /**
+         * Deletes every stored event (consent revoked)
+         * @returns {Promise} - Resolves when cleared
+         */
+        function clear() {
+            writeSentIds([]);
+
+            return open().then(function(db) {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                transaction.objectStore(STORE_NAME).clear();
+                return whenComplete(transaction);
+            }).catch(warnOnce);
+        }
+
+        return {
+            put: put,
+            remove: remove,
+            renew: renew,
+            claim: claim,
+            markSent: markSent,
+            clear: clear
+        };
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.storage = {
+        isSupported: isSupported,
+        createEventStore: createEventStore
+    };
+
+})(window);
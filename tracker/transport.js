@@ -0,0 +1,434 @@
+/**
+ * Event Tracker - Transport Layer
+ * Sinks are the destinations every tracked event is handed to. Each sink is a
+ * plain object of the shape { name, send(event), flush(options) }; sinks that
+ * buffer events may also implement clear() to discard them (consent revoked).
+ *
+ * - Console sink: reproduces the tracker's original styled console output
+ * - HTTP sink: queues events in memory, POSTs them in batches to a collector
+ *   endpoint (retrying with exponential backoff) and flushes whatever is left
+ *   with navigator.sendBeacon when the page is hidden or unloaded. Given an
+ *   event store (tracker/storage.js) it also persists the queue and replays
+ *   events a previous page or a dropped connection left unsent.
+ */
+(function(window) {
+    'use strict';
+
+    /**
+     * Default HTTP sink settings
+     * batchSize     - events per request
+     * flushInterval - max time (ms) an event waits in the queue before a send
+     * maxQueueSize  - oldest events are dropped beyond this many
+     * maxRetries    - failed batches are retried this many times, then dropped
+     * baseBackoff   - first retry delay (ms), doubled on every further failure
+     * maxBackoff    - upper bound for the retry delay (ms)
+     */
+    const HTTP_DEFAULTS = {
+        endpoint: null,
+        batchSize: 20,
+        flushInterval: 5000,
+        maxQueueSize: 1000,
+        maxRetries: 5,
+        baseBackoff: 1000,
+        maxBackoff: 30000
+    };
+
+    /**
+     * Console label and badge colour for each event type
+     */
+    const CONSOLE_STYLES = {
+        PAGE_VIEW: { label: '📄 PAGE VIEW', color: '#4CAF50' },
+        CLICK: { label: '👆 CLICK EVENT', color: '#2196F3' },
+        FORM_SUBMIT: { label: '📝 FORM SUBMIT', color: '#FF9800' },
+        INPUT_CHANGE: { label: '⌨️  INPUT CHANGE', color: '#9C27B0' },
+        SCROLL: { label: '📜 SCROLL EVENT', color: '#00BCD4' },
+        MOUSE_MOVE: { label: '🖱️  MOUSE MOVE', color: '#607D8B' },
+        KEYPRESS: { label: '⌨️  KEYPRESS', color: '#795548' },
+        VISIBILITY_CHANGE: { label: '👁️  VISIBILITY CHANGE', color: '#E91E63' },
+        PAGE_EXIT: { label: '🚪 PAGE EXIT', color: '#F44336' },
+        CUSTOM_EVENT: { label: '🎯 CUSTOM EVENT', color: '#673AB7' },
+        SESSION_START: { label: '🟢 SESSION START', color: '#009688' },
+        SESSION_END: { label: '🔴 SESSION END', color: '#455A64' },
+        REPLAY: { label: '🎬 REPLAY CHUNK', color: '#3F51B5' },
+        WEB_VITAL: { label: '⚡ WEB VITAL', color: '#8BC34A' },
+        RESOURCE_TIMING: { label: '📦 RESOURCE TIMING', color: '#FFC107' },
+        LONG_TASK: { label: '🐢 LONG TASK', color: '#FF5722' },
+        ERROR: { label: '💥 ERROR', color: '#D32F2F' }
+    };
+
+    /**
+     * Label and badge colour used to display an event type
+     * @param {string} eventType - Value of the event field
+     * @returns {Object} - { label, color }
+     */
+    function getEventStyle(eventType) {
+        return CONSOLE_STYLES[eventType] || { label: '🎯 ' + eventType, color: '#673AB7' };
+    }
+
+    /**
+     * Creates the console sink
+     * Logs every event with the same styled badges the tracker has always used
+     * @returns {Object} - Sink object
+     */
+    function createConsoleSink() {
+        return {
+            name: 'console',
+            send: function(eventData) {
+                const style = getEventStyle(eventData.event);
+                const label = eventData.event === 'CUSTOM_EVENT' ? style.label + ': ' + eventData.payload.name : style.label;
+
+                console.log('%c' + label, 'background: ' + style.color + '; color: white; padding: 5px 10px; border-radius: 3px; font-weight: bold;');
+                console.table(flattenForTable(eventData.payload));
+                console.log('Full Data:', eventData);
+                console.log('');
+            },
+            flush: function() {}
+        };
+    }
+
+    /**
+     * Stringifies nested values of an event payload so console.table
+     * renders a readable two-column table
+     * @param {Object} payload - The event payload
+     * @returns {Object} - Flat copy of the payload
+     */
+    function flattenForTable(payload) {
+        const flat = {};
+
+        Object.keys(payload).forEach(function(key) {
+            const value = payload[key];
+            flat[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+
+        return flat;
+    }
+
+    /**
+     * Creates the HTTP sink
+     * Events are queued in memory and sent as { sentAt, events: [...] } once
+     * batchSize events are waiting or flushInterval has passed, whichever is first
+     * @param {Object} options - Overrides for HTTP_DEFAULTS; endpoint is required.
+     *                           options.store is an optional event store for offline persistence.
+     * @returns {Object} - Sink object
+     */
+    function createHttpSink(options) {
+        const settings = Object.assign({}, HTTP_DEFAULTS, options);
+        const store = settings.store || null;
+
+        if (!settings.endpoint) {
+            throw new Error('EventTracker HTTP sink requires an endpoint');
+        }
+
+        let queue = [];
+        let inFlight = false;
+        let inFlightIds = [];
+        // Ids of delivered events until the store has deleted them; until then a claim still returns them
+        let removingIds = [];
+        let attempt = 0;
+        let flushTimer = null;
+        let retryTimer = null;
+        // Bumped by clear() so a batch that was in flight is not re-queued afterwards
+        let generation = 0;
+
+        /**
+         * Adds an event to the queue and triggers a send when a batch is full
+         * @param {Object} eventData - The tracked event
+         */
+        function send(eventData) {
+            queue.push(eventData);
+
+            if (store) {
+                store.put(eventData);
+            }
+
+            // Drop the oldest events rather than growing without bound while the collector is down
+            if (queue.length > settings.maxQueueSize) {
+                queue.splice(0, queue.length - settings.maxQueueSize);
+            }
+
+            if (queue.length >= settings.batchSize) {
+                sendNextBatch();
+            } else {
+                scheduleFlush();
+            }
+        }
+
+        /**
+         * Starts the flush timer unless a send or retry is already pending
+         */
+        function scheduleFlush() {
+            if (flushTimer || retryTimer || inFlight) return;
+
+            flushTimer = setTimeout(function() {
+                flushTimer = null;
+                sendNextBatch();
+            }, settings.flushInterval);
+        }
+
+        /**
+         * Sends the next batch with fetch
+         * Only one batch is in flight at a time so events arrive in order
+         * @returns {Promise} - Resolves when the batch has been handled
+         */
+        function sendNextBatch() {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+
+            if (inFlight || retryTimer || queue.length === 0) {
+                return Promise.resolve();
+            }
+
+            const batch = queue.splice(0, settings.batchSize);
+            const batchGeneration = generation;
+            const batchIds = getIds(batch);
+            inFlight = true;
+            inFlightIds = batchIds;
+
+            return postBatch(batch).then(function() {
+                inFlight = false;
+                inFlightIds = [];
+                attempt = 0;
+
+                if (store) {
+                    removingIds = removingIds.concat(batchIds);
+                    store.remove(batchIds).then(function() {
+                        removingIds = removingIds.filter(function(id) {
+                            return batchIds.indexOf(id) === -1;
+                        });
+                    });
+                }
+                continueSending();
+            }, function(error) {
+                inFlight = false;
+                inFlightIds = [];
+
+                if (batchGeneration !== generation) return;
+
+                attempt++;
+
+                if (attempt > settings.maxRetries) {
+                    // A stored batch stays in IndexedDB and is replayed on a later page load
+                    console.warn('[EventTracker] Giving up on ' + batch.length + ' events after ' + settings.maxRetries + ' retries' +
+                        (store ? ' (kept for replay):' : ':'), error);
+                    attempt = 0;
+                    continueSending();
+                    return;
+                }
+
+                if (store) {
+                    store.renew(batchIds);
+                }
+
+                // Put the batch back at the front so ordering is preserved on retry
+                queue = batch.concat(queue);
+                retryTimer = setTimeout(function() {
+                    retryTimer = null;
+                    sendNextBatch();
+                }, getBackoffDelay(attempt));
+            });
+        }
+
+        /**
+         * Moves events left in the store by earlier pages into the queue
+         * Events already queued, in flight or delivered but not yet deleted
+         * from the store are skipped, so a replay never sends the same event twice
+         * @returns {Promise} - Resolves once claimed events are queued
+         */
+        function replay() {
+            if (!store) return Promise.resolve();
+
+            const replayGeneration = generation;
+
+            return store.claim(Math.max(0, settings.maxQueueSize - queue.length)).then(function(stored) {
+                if (replayGeneration !== generation) return;
+
+                const known = getIds(queue).concat(inFlightIds, removingIds);
+                const missing = stored.filter(function(eventData) {
+                    return known.indexOf(eventData.id) === -1;
+                });
+
+                if (missing.length > 0) {
+                    // Replayed events are older than anything queued since, so they go first
+                    queue = missing.concat(queue);
+                    continueSending();
+                }
+            });
+        }
+
+        /**
+         * Sends the next full batch right away, or waits for the flush timer
+         */
+        function continueSending() {
+            if (queue.length >= settings.batchSize) {
+                sendNextBatch();
+            } else if (queue.length > 0) {
+                scheduleFlush();
+            }
+        }
+
+        /**
+         * Exponential backoff with jitter so many tabs don't retry in lockstep
+         * @param {number} retry - 1-based retry number
+         * @returns {number} - Delay in milliseconds
+         */
+        function getBackoffDelay(retry) {
+            const delay = Math.min(settings.maxBackoff, settings.baseBackoff * Math.pow(2, retry - 1));
+            return Math.round(delay / 2 + Math.random() * delay / 2);
+        }
+
+        /**
+         * POSTs a batch to the collector
+         * @param {Array} batch - Events to send
+         * @returns {Promise} - Rejects on network errors and non-2xx responses
+         */
+        function postBatch(batch) {
+            return fetch(settings.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: serialize(batch),
+                credentials: 'omit'
+            }).then(function(response) {
+                if (!response.ok) {
+                    throw new Error('Collector responded with HTTP ' + response.status);
+                }
+            });
+        }
+
+        /**
+         * Flushes the queue
+         * A regular flush first picks up stored events (see replay). With { beacon: true } everything still queued is handed to
+         * navigator.sendBeacon, which survives the page being unloaded.
+         * A batch already in flight is left to its fetch to avoid sending it twice.
+         * @param {Object} flushOptions - { beacon: boolean }
+         * @returns {Promise} - Resolves once the flush has been handed off
+         */
+        function flush(flushOptions) {
+            if (!flushOptions || !flushOptions.beacon) {
+                return replay().then(sendNextBatch);
+            }
+
+            clearTimeout(flushTimer);
+            clearTimeout(retryTimer);
+            flushTimer = null;
+            retryTimer = null;
+
+            while (queue.length > 0) {
+                const batch = queue.slice(0, settings.batchSize);
+
+                if (!sendBeacon(batch)) {
+                    // The browser refused the beacon (quota or size); keep the events for a later flush
+                    break;
+                }
+                queue.splice(0, batch.length);
+
+                if (store) {
+                    // The IndexedDB delete may not finish before unload; the sent-id log covers that
+                    const batchIds = getIds(batch);
+                    store.markSent(batchIds);
+                    store.remove(batchIds);
+                }
+            }
+
+            return Promise.resolve();
+        }
+
+        /**
+         * Sends a batch with navigator.sendBeacon, falling back to a keepalive fetch
+         * The body is sent as text/plain so the beacon stays a CORS "simple"
+         * request; the collector should parse it as JSON regardless of type
+         * @param {Array} batch - Events to send
+         * @returns {boolean} - Whether the browser accepted the request
+         */
+        function sendBeacon(batch) {
+            const body = serialize(batch);
+
+            if (navigator.sendBeacon) {
+                return navigator.sendBeacon(settings.endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+            }
+
+            if (typeof fetch === 'function') {
+                fetch(settings.endpoint, { method: 'POST', body: body, keepalive: true, credentials: 'omit' }).catch(function() {});
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * Changes where and how often the sink sends; the queue carries over
+         * A tracker restart reconfigures its sink rather than creating another on
+         * the same store, whose replay would claim (and send again) this queue
+         * @param {Object} changes - { endpoint, batchSize, flushInterval }
+         */
+        function configure(changes) {
+            ['endpoint', 'batchSize', 'flushInterval'].forEach(function(key) {
+                if (changes[key] !== undefined) {
+                    settings[key] = changes[key];
+                }
+            });
+            continueSending();
+        }
+
+        /**
+         * Discards everything still queued
+         */
+        function clear() {
+            clearTimeout(flushTimer);
+            clearTimeout(retryTimer);
+            flushTimer = null;
+            retryTimer = null;
+            queue = [];
+            attempt = 0;
+            generation++;
+
+            if (store) {
+                store.clear();
+            }
+        }
+
+        // Pick up whatever earlier pages left behind
+        replay();
+
+        return {
+            name: 'http',
+            send: send,
+            flush: flush,
+            clear: clear,
+            configure: configure,
+            getQueueSize: function() {
+                return queue.length;
+            }
+        };
+    }
+
+    /**
+     * Lists the ids of a batch of events
+     * @param {Array} batch - Event envelopes
+     * @returns {Array} - Event ids
+     */
+    function getIds(batch) {
+        return batch.map(function(eventData) {
+            return eventData.id;
+        });
+    }
+
+    /**
+     * Serializes a batch into the collector payload
+     * @param {Array} batch - Events to send
+     * @returns {string} - JSON payload
+     */
+    function serialize(batch) {
+        return JSON.stringify({
+            sentAt: new Date().toISOString(),
+            events: batch
+        });
+    }
+
+    window.EventTrackerModules = window.EventTrackerModules || {};
+    window.EventTrackerModules.transport = {
+        getEventStyle: getEventStyle,
+        createConsoleSink: createConsoleSink,
+        createHttpSink: createHttpSink
+    };
+
+})(window);